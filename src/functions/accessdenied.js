@@ -0,0 +1,45 @@
+import { app } from '@azure/functions';
+import { renderAccessDeniedPage, ACCESS_DENIED_REASONS } from '../lib/accesspage.js';
+import { getTherapistBranding } from '../lib/branding.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const homeUrl = process.env.ACCESS_DENIED_HOME_URL || 'https://www.onlinetherapytools.com';
+const contactUrl = process.env.ACCESS_DENIED_CONTACT_URL || null;
+
+// 🚀 AZURE FUNCTION - ACCESS DENIED PAGE
+// GET /api/access-denied?error=token_expired&therapist_id=... - the default FAILED_TOKEN_URL.
+// Renders reason-specific copy, the therapist's branding when configured, and a "request a new link" action.
+app.http('access-denied', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  route: 'access-denied',
+
+  handler: withRequestLogging(async (request, context) => {
+    const url = new URL(request.url);
+    const error = url.searchParams.get('error');
+    const therapistId = url.searchParams.get('therapist_id');
+
+    const branding = getTherapistBranding(therapistId);
+
+    context.log('🚫 Access denied page rendered', {
+      error: error || 'none',
+      knownReason: Object.hasOwn(ACCESS_DENIED_REASONS, error || ''),
+      therapistId: therapistId || 'missing',
+      branded: !!branding
+    });
+
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/html; charset=utf-8',
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src https:; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+        'Referrer-Policy': 'no-referrer',
+        'X-Content-Type-Options': 'nosniff',
+        'X-Robots-Tag': 'noindex'
+      },
+      body: renderAccessDeniedPage({ error, branding, contactUrl, homeUrl })
+    };
+  })
+});
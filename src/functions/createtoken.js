@@ -0,0 +1,129 @@
+import { app } from '@azure/functions';
+import { authenticateTherapist } from '../lib/auth.js';
+import { authenticateService } from '../lib/serviceauth.js';
+import { hasRequestSignature } from '../lib/requestsigning.js';
+import { createResponder } from '../lib/responses.js';
+import { getTokenStore } from '../lib/tokenstore.js';
+import { buildTokenEntity } from '../lib/tokenpolicy.js';
+import { permittedActivities } from '../lib/activityscope.js';
+import { tokenLogId } from '../lib/tokenhash.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+const MAX_CREATE_ATTEMPTS = 2; // a 256-bit collision is not expected, but never overwrite
+
+// 🚀 AZURE FUNCTION - TOKEN CREATION
+// The raw token is returned exactly once; only its keyed hash is stored.
+// Therapists create links for their own partition; trusted backends (X-API-Key / service JWT)
+// may create them for any therapistId given in the body.
+app.http('create-token', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'create-token',
+
+  handler: withRequestLogging(async (request, context) => {
+    context.log('🆕 Token creation function triggered');
+
+    const respond = createResponder(request, { methods: 'POST, OPTIONS' });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    // A signed request is a service call - never fall back to therapist auth when its signature fails
+    const service = await authenticateService(request);
+    const therapist = service.authenticated || hasRequestSignature(request) ? null : authenticateTherapist(request);
+    if (!service.authenticated && !therapist?.authenticated) {
+      const reason = therapist ? therapist.reason : service.reason;
+      context.warn('❌ ERROR: Token creation authentication failed:', reason);
+      return respond.failure(reason, { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+
+    let requestBody;
+    try {
+      requestBody = await request.json();
+    } catch (err) {
+      return respond.failure('invalid_json');
+    }
+    // Valid JSON that is not an object (null, a number, a string) is not a creation request
+    if (!requestBody || typeof requestBody !== 'object') {
+      return respond.failure('invalid_json');
+    }
+
+    // Therapists can only mint links for themselves
+    if (therapist && requestBody.therapistId && requestBody.therapistId !== therapist.therapistId) {
+      return respond.failure('forbidden', { message: 'Not permitted to create tokens for another therapist' });
+    }
+
+    const creation = {
+      therapistId: therapist ? therapist.therapistId : requestBody.therapistId,
+      activityUrl: requestBody.activityUrl,
+      activityBundle: requestBody.activityBundle,
+      ttlMinutes: requestBody.ttlMinutes,
+      expiresAt: requestBody.expiresAt,
+      notBefore: requestBody.notBefore,
+      idleTimeoutMinutes: requestBody.idleTimeoutMinutes,
+      maxUses: requestBody.maxUses,
+      bindTo: requestBody.bindTo,
+      createdBy: therapist ? 'therapist' : service.caller
+    };
+
+    try {
+      const tokenStore = getTokenStore();
+
+      let entity;
+      let token;
+      for (let attempt = 1; attempt <= MAX_CREATE_ATTEMPTS && !entity; attempt++) {
+        const built = buildTokenEntity(creation);
+        if (built.error) {
+          context.warn('❌ ERROR: Token creation rejected:', built.error);
+          return respond.failure(built.error, { message: built.message });
+        }
+
+        try {
+          entity = await tokenStore.createToken(built.entity);
+          token = built.token;
+        } catch (err) {
+          if (err.statusCode !== 409 || attempt === MAX_CREATE_ATTEMPTS) {
+            throw err;
+          }
+        }
+      }
+
+      const verifyUrl = new URL('/api/verify-token', request.url);
+      verifyUrl.searchParams.set('token', token);
+      verifyUrl.searchParams.set('therapist_id', entity.therapistId);
+
+      context.log('✅ SUCCESS: Token created', {
+        therapistId: entity.therapistId,
+        token: tokenLogId(token),
+        expiresAt: entity.expiresAt,
+        createdBy: creation.createdBy
+      });
+
+      return respond.json(201, {
+        success: true,
+        token,
+        tokenId: entity.rowKey,
+        therapistId: entity.therapistId,
+        activityUrl: entity.activityUrl,
+        permittedActivities: permittedActivities(entity),
+        activityBundle: entity.activityBundle ?? null,
+        createdAt: entity.createdAt,
+        notBefore: entity.notBefore ?? null,
+        expiresAt: entity.expiresAt,
+        ...(entity.idleTimeoutMinutes && {
+          idleTimeoutMinutes: entity.idleTimeoutMinutes,
+          absoluteExpiresAt: entity.absoluteExpiresAt
+        }),
+        maxUses: entity.maxUses ?? null,
+        bindingMode: entity.bindingMode ?? null,
+        schemaVersion: entity.schemaVersion,
+        verifyUrl: verifyUrl.toString()
+      });
+    } catch (err) {
+      context.error('❌ ERROR: Token creation failed:', err.message);
+      return respond.failure('creation_failed');
+    }
+  })
+});
@@ -0,0 +1,30 @@
+import { app } from '@azure/functions';
+import { listErrorCodes, REDIRECT_REASON_PARAM } from '../lib/errorcodes.js';
+import { createResponder } from '../lib/responses.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+// 🚀 AZURE FUNCTION - ERROR CODE CATALOGUE
+// GET /api/error-codes - every `error` value the hub can return, with its HTTP status, default
+// message and the `?error=` reason GET verify-token redirects with (null = JSON only)
+app.http('error-codes', {
+  methods: ['GET', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'error-codes',
+
+  handler: withRequestLogging(async (request) => {
+    const respond = createResponder(request, { methods: 'GET, OPTIONS' });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    const codes = listErrorCodes();
+    return respond.json(200, {
+      success: true,
+      redirectParameter: REDIRECT_REASON_PARAM,
+      count: codes.length,
+      codes
+    }, { 'Cache-Control': 'public, max-age=3600' });
+  })
+});
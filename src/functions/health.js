@@ -0,0 +1,119 @@
+import fs from 'node:fs';
+import { app } from '@azure/functions';
+import { getTokenStore, HEALTH_PARTITION } from '../lib/tokenstore.js';
+import { urlPolicyConfigErrors } from '../lib/urlpolicy.js';
+import { isSessionSigningConfigured } from '../lib/session.js';
+import { isTokenHashingConfigured } from '../lib/tokenhash.js';
+import { createResponder } from '../lib/responses.js';
+import { withRequestLogging, redact } from '../lib/logger.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const buildVersion = process.env.BUILD_VERSION || packageVersion();
+const checkTimeoutMs = Number(process.env.READINESS_CHECK_TIMEOUT_MS || 5000);
+
+const startedAt = Date.now();
+
+function packageVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+// 🩺 READINESS CHECKS
+// Each check throws to fail; a hung dependency fails after checkTimeoutMs instead of hanging the probe.
+const READINESS_CHECKS = {
+  config() {
+    const errors = urlPolicyConfigErrors();
+    if (!isSessionSigningConfigured()) {
+      errors.push('SESSION_SIGNING_SECRET is not set');
+    }
+    if (!isTokenHashingConfigured()) {
+      errors.push('TOKEN_HASH_PEPPER is not set');
+    }
+    if (errors.length) {
+      throw new Error(errors.join('; '));
+    }
+  },
+
+  async tokenTable() {
+    await getTokenStore().ping();
+  },
+
+  // Point read of a key that never exists - exercises the same path as verify-token
+  async roundTrip() {
+    const entity = await getTokenStore().getToken(HEALTH_PARTITION, 'probe');
+    if (entity) {
+      throw new Error('Health probe key unexpectedly holds an entity');
+    }
+  }
+};
+
+async function runCheck(name, check) {
+  const started = performance.now();
+  let timer;
+  try {
+    await Promise.race([
+      check(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${checkTimeoutMs}ms`)), checkTimeoutMs);
+      })
+    ]);
+    return { name, status: 'pass', latencyMs: Math.round(performance.now() - started) };
+  } catch (error) {
+    return { name, status: 'fail', latencyMs: Math.round(performance.now() - started), error: redact(error.message) };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 🚀 AZURE FUNCTION - LIVENESS
+// GET /api/health - the process is up and serving requests; touches no dependencies
+app.http('health', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  route: 'health',
+
+  handler: withRequestLogging(async (request) => {
+    return createResponder(request, { methods: 'GET' }).json(200, {
+      status: 'ok',
+      version: buildVersion,
+      uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+      timestamp: new Date().toISOString()
+    });
+  })
+});
+
+// 🚀 AZURE FUNCTION - READINESS
+// GET /api/ready - 200 when configuration parses and the token table answers a round-trip read,
+// 503 otherwise. Use it as the deployment gate and the load balancer health probe.
+app.http('ready', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  route: 'ready',
+
+  handler: withRequestLogging(async (request, context) => {
+    const started = performance.now();
+    const checks = [];
+    // One at a time so each check's latency is its own
+    for (const [name, check] of Object.entries(READINESS_CHECKS)) {
+      checks.push(await runCheck(name, check));
+    }
+    const ready = checks.every(check => check.status === 'pass');
+
+    // Failure detail (hostnames, config names) stays in the logs - anonymous callers see pass/fail and latency
+    if (!ready) {
+      context.warn('⚠️ Readiness check failed', {
+        failed: checks.filter(check => check.status === 'fail')
+      });
+    }
+
+    return createResponder(request, { methods: 'GET' }).json(ready ? 200 : 503, {
+      status: ready ? 'ready' : 'not_ready',
+      version: buildVersion,
+      latencyMs: Math.round(performance.now() - started),
+      checks: checks.map(({ name, status, latencyMs }) => ({ name, status, latencyMs }))
+    });
+  })
+});
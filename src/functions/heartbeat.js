@@ -0,0 +1,118 @@
+import { app } from '@azure/functions';
+import { createResponder } from '../lib/responses.js';
+import { verifySessionToken, readSessionCredential, issueSessionToken } from '../lib/session.js';
+import { getTokenStore } from '../lib/tokenstore.js';
+import { tokenValidity, isSlidingToken, extendSlidingExpiry, parseTokenDate } from '../lib/tokenpolicy.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+// 🚀 AZURE FUNCTION - SLIDING EXPIRY HEARTBEAT
+// POST /api/heartbeat with the session credential of a sliding-expiry token (Bearer or { sessionToken }).
+// Activity pages call it while a client is active: the token's idle deadline moves forward (never
+// past absoluteExpiresAt) and a fresh session credential comes back. No use is consumed.
+app.http('heartbeat', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'heartbeat',
+
+  handler: withRequestLogging(async (request, context) => {
+    context.log('💓 Heartbeat function triggered');
+
+    const respond = createResponder(request, { methods: 'POST, OPTIONS' });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    const sessionToken = await readSessionCredential(request);
+    if (sessionToken === null) {
+      context.warn('❌ ERROR: Invalid JSON in request body');
+      return respond.failure('invalid_json');
+    }
+    if (!sessionToken) {
+      context.warn('❌ ERROR: Missing session token');
+      return respond.failure('missing_session');
+    }
+
+    const result = verifySessionToken(sessionToken);
+    if (!result.valid) {
+      context.warn('❌ ERROR: Session verification failed:', result.reason);
+
+      if (result.reason === 'session_not_configured') {
+        return respond.failure('configuration_error');
+      }
+
+      return respond.failure(result.reason === 'expired' ? 'session_expired' : 'invalid_session', { valid: false });
+    }
+
+    const { claims } = result;
+    if (!claims.tokenId) {
+      context.warn('❌ ERROR: Heartbeat for a session without a sliding token', { therapistId: claims.therapistId });
+      return respond.failure('sliding_not_enabled');
+    }
+
+    try {
+      const tokenStore = getTokenStore();
+      let tokenEntity = await tokenStore.getToken(claims.therapistId, claims.tokenId);
+
+      // The credential outlives its token only if the token was revoked or swept meanwhile
+      if (!tokenEntity) {
+        context.warn('❌ ERROR: Token behind the session no longer exists', { therapistId: claims.therapistId });
+        return respond.failure('invalid_token', { valid: false });
+      }
+      if (tokenEntity.isRevoked === true) {
+        context.warn('❌ ERROR: Token has been revoked', { therapistId: claims.therapistId });
+        return respond.failure('token_revoked', { valid: false });
+      }
+      if (!isSlidingToken(tokenEntity)) {
+        return respond.failure('sliding_not_enabled');
+      }
+
+      const now = new Date();
+      const validity = tokenValidity(tokenEntity, now);
+      if (validity.state !== 'active') {
+        context.warn('❌ ERROR: Token is no longer valid', { therapistId: claims.therapistId, state: validity.state });
+        return respond.failure(validity.state === 'invalid' ? 'invalid_token_date' : 'token_expired', { valid: false });
+      }
+
+      tokenEntity = await extendSlidingExpiry(tokenStore, tokenEntity, now);
+      const { expiresAt, validUntil } = tokenValidity(tokenEntity, now);
+      const absoluteExpiresAt = parseTokenDate(tokenEntity.absoluteExpiresAt);
+
+      // Re-issue so the credential can follow the new deadline; `tid` carries over unchanged
+      const session = issueSessionToken({
+        therapistId: claims.therapistId,
+        activityUrl: claims.activityUrl,
+        activities: claims.activities,
+        tid: claims.tid,
+        tokenId: claims.tokenId,
+        tokenExpiresAt: validUntil,
+        now
+      });
+
+      context.log('✅ SUCCESS: Sliding expiry extended by heartbeat', {
+        therapistId: claims.therapistId,
+        expiresAt: expiresAt.toISOString(),
+        absoluteExpiresAt: absoluteExpiresAt.toISOString()
+      });
+
+      return respond.json(200, {
+        success: true,
+        valid: true,
+        therapistId: claims.therapistId,
+        activityUrl: claims.activityUrl,
+        permittedActivities: claims.activities || [claims.activityUrl],
+        expiryMode: 'sliding',
+        expiresAt: expiresAt.toISOString(),
+        absoluteExpiresAt: absoluteExpiresAt.toISOString(),
+        idleTimeoutMinutes: tokenEntity.idleTimeoutMinutes,
+        sessionToken: session.sessionToken,
+        sessionExpiresAt: session.expiresAt.toISOString(),
+        message: 'Sliding expiry extended'
+      });
+    } catch (err) {
+      context.error('❌ ERROR: Heartbeat failed:', err.message);
+      return respond.failure('verification_failed');
+    }
+  })
+});
@@ -0,0 +1,136 @@
+import { app } from '@azure/functions';
+import { authenticateService } from '../lib/serviceauth.js';
+import { createResponder } from '../lib/responses.js';
+import { getTokenStore } from '../lib/tokenstore.js';
+import { findToken } from '../lib/tokenhash.js';
+import { tokenValidity, isValidTableKey } from '../lib/tokenpolicy.js';
+import { withRequestLogging } from '../lib/logger.js';
+import { permittedActivities } from '../lib/activityscope.js';
+
+// 🔎 Describe a token entity without changing it (RFC 7662 style)
+function describeToken(entity, now) {
+  const validity = tokenValidity(entity, now);
+  const hasValidSchema = !!(entity.expiresAt && entity.activityUrl && entity.therapistId);
+  const hasUsageLimit = Number.isInteger(entity.maxUses) && entity.maxUses > 0;
+  const useCount = Number(entity.useCount) || 0;
+
+  let inactiveReason = null;
+  if (!hasValidSchema) {
+    inactiveReason = 'invalid_token_schema';
+  } else if (validity.state === 'invalid') {
+    inactiveReason = 'invalid_token_date';
+  } else if (entity.isRevoked === true) {
+    inactiveReason = 'token_revoked';
+  } else if (validity.state === 'not_yet_valid') {
+    inactiveReason = 'token_not_yet_valid';
+  } else if (validity.state === 'expired') {
+    inactiveReason = 'token_expired';
+  } else if (hasUsageLimit && useCount >= entity.maxUses) {
+    inactiveReason = 'token_exhausted';
+  }
+
+  const createdDate = entity.createdAt ? new Date(entity.createdAt) : null;
+
+  return {
+    active: inactiveReason === null,
+    ...(inactiveReason && { inactiveReason }),
+    sub: entity.therapistId,
+    ...(validity.expiresAt && { exp: Math.floor(validity.expiresAt.getTime() / 1000) }),
+    ...(validity.notBefore && { nbf: Math.floor(validity.notBefore.getTime() / 1000) }),
+    ...(createdDate && !isNaN(createdDate.getTime()) && { iat: Math.floor(createdDate.getTime() / 1000) }),
+    therapistId: entity.therapistId,
+    activityUrl: entity.activityUrl,
+    permittedActivities: permittedActivities(entity),
+    activityBundle: entity.activityBundle || null,
+    createdAt: entity.createdAt,
+    notBefore: validity.notBefore ? validity.notBefore.toISOString() : null,
+    expiresAt: validity.expiresAt ? validity.expiresAt.toISOString() : entity.expiresAt ?? null,
+    inGracePeriod: validity.inGracePeriod === true,
+    idleTimeoutMinutes: entity.idleTimeoutMinutes ?? null,
+    absoluteExpiresAt: entity.absoluteExpiresAt ?? null,
+    isRevoked: entity.isRevoked === true,
+    revokedAt: entity.revokedAt || null,
+    useCount,
+    maxUses: hasUsageLimit ? entity.maxUses : null,
+    lastUsedAt: entity.lastUsedAt || null,
+    bindingMode: entity.bindingMode || null,
+    boundAt: entity.boundAt || null
+  };
+}
+
+// 🚀 AZURE FUNCTION - TOKEN INTROSPECTION (TRUSTED BACKENDS ONLY)
+// Read-only: never deletes expired tokens, never consumes uses, never redirects.
+app.http('introspect-token', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'introspect-token',
+
+  handler: withRequestLogging(async (request, context) => {
+    context.log('🔎 Token introspection function triggered');
+
+    const respond = createResponder(request, { methods: 'POST, OPTIONS' });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    const auth = await authenticateService(request);
+    if (!auth.authenticated) {
+      context.warn('❌ ERROR: Introspection caller authentication failed:', auth.reason);
+      return respond.failure(auth.reason, { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+
+    // RFC 7662 uses form encoding; JSON is accepted for consistency with the other endpoints
+    let token;
+    let therapistId;
+    try {
+      const contentType = request.headers.get('content-type') || '';
+      if (contentType.includes('application/x-www-form-urlencoded')) {
+        const form = new URLSearchParams(await request.text());
+        token = form.get('token');
+        therapistId = form.get('therapist_id') || form.get('therapistId');
+      } else {
+        const requestBody = await request.json();
+        token = requestBody.token;
+        therapistId = requestBody.therapistId || requestBody.therapist_id;
+      }
+    } catch (err) {
+      return respond.failure('invalid_request');
+    }
+
+    if (!token) {
+      return respond.failure('missing_token');
+    }
+
+    if (!therapistId) {
+      return respond.failure('missing_therapist_id');
+    }
+
+    try {
+      // Values that cannot be table keys match nothing and are not looked up
+      const { entity: tokenEntity } = isValidTableKey(therapistId) && isValidTableKey(token)
+        ? await findToken(getTokenStore(), therapistId, token)
+        : { entity: null };
+
+      if (!tokenEntity) {
+        context.debug('🔎 Introspection: token not found', { caller: auth.caller, therapistId });
+        return respond.json(200, { active: false });
+      }
+
+      const description = describeToken(tokenEntity, new Date());
+
+      context.log('✅ Introspection complete', {
+        caller: auth.caller,
+        therapistId,
+        active: description.active,
+        inactiveReason: description.inactiveReason || null
+      });
+
+      return respond.json(200, description);
+    } catch (err) {
+      context.error('❌ ERROR: Token introspection failed:', err.message);
+      return respond.failure('introspection_failed');
+    }
+  })
+});
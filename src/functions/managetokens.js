@@ -0,0 +1,346 @@
+import { app } from '@azure/functions';
+import { authenticateTherapistOrService } from '../lib/serviceauth.js';
+import { getTokenStore } from '../lib/tokenstore.js';
+import { tokenStatus, maxExpiryFrom, parseTokenDate, isSlidingToken, slidingExpiryFrom, publicTokenId, isValidTableKey } from '../lib/tokenpolicy.js';
+import { findToken, findTokenById, tokenLogId } from '../lib/tokenhash.js';
+import { withRequestLogging } from '../lib/logger.js';
+import { createResponder } from '../lib/responses.js';
+import { permittedActivities } from '../lib/activityscope.js';
+import { invalidateCachedToken, invalidateCachedTherapist } from '../lib/verificationcache.js';
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const TOKEN_STATUSES = ['active', 'scheduled', 'expired', 'revoked', 'all'];
+
+// 🧰 SHARED HELPERS FOR THE MANAGEMENT ENDPOINTS
+// Wraps a management handler with request logging, CORS preflight, therapist authentication
+// and error handling. The inner handler receives (request, context, { therapistId, tokenStore, respond }).
+// Signed hub-to-hub requests act for the therapist named in the `therapistId` query parameter.
+function therapistEndpoint(name, methods, handler) {
+  return withRequestLogging(async (request, context) => {
+    context.log(`🧰 Token management function triggered: ${name}`);
+
+    const respond = createResponder(request, { methods });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    // Verify the therapist Bearer JWT, or a signed request from a trusted backend
+    const auth = await authenticateTherapistOrService(request);
+    if (!auth.authenticated) {
+      context.warn('❌ ERROR: Management caller authentication failed:', auth.reason);
+      return respond.failure(auth.reason, { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+
+    const therapistId = auth.service ? new URL(request.url).searchParams.get('therapistId') : auth.therapistId;
+    if (!therapistId) {
+      return respond.failure('missing_therapist_id', { message: 'Signed service requests must name the therapist in the therapistId query parameter' });
+    }
+
+    try {
+      return await handler(request, context, {
+        therapistId,
+        tokenStore: getTokenStore(),
+        respond
+      });
+    } catch (err) {
+      // 412 = the token changed between read and write (another request got there first)
+      if (err.statusCode === 412) {
+        return respond.failure('conflict');
+      }
+      context.error(`❌ ERROR: ${name} failed:`, err.message);
+      return respond.failure('management_failed');
+    }
+  });
+}
+
+async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Resolve the token a request refers to, scoped to the authenticated therapist's partition.
+// Accepts the raw `token` or the `tokenId` (hashed RowKey) returned by the listing.
+// Values that cannot be table keys match nothing and are not looked up.
+async function findOwnedToken(tokenStore, therapistId, { token, tokenId }) {
+  if (!isValidTableKey(therapistId) || !isValidTableKey(token || tokenId)) {
+    return null;
+  }
+  if (token) {
+    return (await findToken(tokenStore, therapistId, token)).entity;
+  }
+  return findTokenById(tokenStore, therapistId, tokenId);
+}
+
+// Public view of a token entity for its owning therapist (raw tokens are never stored)
+function describeToken(entity, now) {
+  return {
+    tokenId: publicTokenId(entity),
+    status: tokenStatus(entity, now),
+    activityUrl: entity.activityUrl,
+    permittedActivities: permittedActivities(entity),
+    activityBundle: entity.activityBundle || null,
+    createdAt: entity.createdAt || null,
+    notBefore: entity.notBefore || null,
+    expiresAt: entity.expiresAt || null,
+    idleTimeoutMinutes: entity.idleTimeoutMinutes ?? null,
+    absoluteExpiresAt: entity.absoluteExpiresAt || null,
+    isRevoked: entity.isRevoked === true,
+    revokedAt: entity.revokedAt || null,
+    useCount: Number(entity.useCount) || 0,
+    maxUses: entity.maxUses ?? null,
+    lastUsedAt: entity.lastUsedAt || null,
+    bindingMode: entity.bindingMode || null,
+    boundAt: entity.boundAt || null
+  };
+}
+
+// 🚀 AZURE FUNCTION - LIST A THERAPIST'S TOKENS
+// GET /api/tokens?status=active|scheduled|expired|revoked|all&pageSize=25&cursor=...
+app.http('list-tokens', {
+  methods: ['GET', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'tokens',
+
+  handler: therapistEndpoint('list-tokens', 'GET, OPTIONS', async (request, context, { therapistId, tokenStore, respond }) => {
+    const url = new URL(request.url);
+    const status = url.searchParams.get('status') || 'all';
+    const cursor = url.searchParams.get('cursor') || undefined;
+    const requestedPageSize = parseInt(url.searchParams.get('pageSize'), 10);
+    const pageSize = Number.isNaN(requestedPageSize)
+      ? DEFAULT_PAGE_SIZE
+      : Math.min(Math.max(requestedPageSize, 1), MAX_PAGE_SIZE);
+
+    if (!TOKEN_STATUSES.includes(status)) {
+      return respond.failure('invalid_status', { message: `status must be one of: ${TOKEN_STATUSES.join(', ')}` });
+    }
+
+    // Cursor = last RowKey returned, so pages stay stable while tokens are added or swept
+    const now = new Date();
+    const tokens = [];
+    let nextCursor = null;
+    let lastRowKey = null;
+    for await (const entity of tokenStore.listTokensByTherapist(therapistId, { afterRowKey: cursor })) {
+      if (status !== 'all' && tokenStatus(entity, now) !== status) {
+        continue;
+      }
+      if (tokens.length === pageSize) {
+        nextCursor = lastRowKey;
+        break;
+      }
+      tokens.push(describeToken(entity, now));
+      lastRowKey = entity.rowKey;
+    }
+
+    context.log('✅ SUCCESS: Listed tokens', { therapistId, status, count: tokens.length, hasMore: !!nextCursor });
+
+    return respond.json(200, {
+      success: true,
+      therapistId,
+      status,
+      count: tokens.length,
+      tokens,
+      nextCursor
+    });
+  })
+});
+
+// 🚀 AZURE FUNCTION - BULK REVOKE
+// POST /api/tokens/revoke-all { activityUrl? } - revokes every unrevoked token (optionally for one activity)
+app.http('revoke-all-tokens', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'tokens/revoke-all',
+
+  handler: therapistEndpoint('revoke-all-tokens', 'POST, OPTIONS', async (request, context, { therapistId, tokenStore, respond }) => {
+    const requestBody = await readJsonBody(request);
+    if (!requestBody) {
+      return respond.failure('invalid_json');
+    }
+    const { activityUrl } = requestBody;
+
+    const revokedAt = new Date().toISOString();
+    const toRevoke = [];
+    for await (const entity of tokenStore.listTokensByTherapist(therapistId)) {
+      if (entity.isRevoked === true) {
+        continue;
+      }
+      if (activityUrl && entity.activityUrl !== activityUrl) {
+        continue;
+      }
+      toRevoke.push({ ...entity, isRevoked: true, revokedAt });
+    }
+
+    // Single partition, so the store can batch these as table transactions
+    await tokenStore.upsertTokens(therapistId, toRevoke);
+    invalidateCachedTherapist(therapistId);
+
+    context.log('✅ SUCCESS: Bulk revoked tokens', { therapistId, activityUrl: activityUrl || 'all', count: toRevoke.length });
+
+    return respond.json(200, {
+      success: true,
+      message: `${toRevoke.length} token(s) revoked`,
+      revokedCount: toRevoke.length,
+      revokedAt
+    });
+  })
+});
+
+// 🚀 AZURE FUNCTION - UN-REVOKE
+// POST /api/tokens/unrevoke { token | tokenId }
+app.http('unrevoke-token', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'tokens/unrevoke',
+
+  handler: therapistEndpoint('unrevoke-token', 'POST, OPTIONS', async (request, context, { therapistId, tokenStore, respond }) => {
+    const requestBody = await readJsonBody(request);
+    if (!requestBody) {
+      return respond.failure('invalid_json');
+    }
+    if (!requestBody.token && !requestBody.tokenId) {
+      return respond.failure('missing_token', { message: 'Missing token or tokenId parameter' });
+    }
+
+    const tokenEntity = await findOwnedToken(tokenStore, therapistId, requestBody);
+    if (!tokenEntity) {
+      return respond.failure('token_not_found');
+    }
+
+    const { revokedAt, ...rest } = tokenEntity;
+    const updated = await tokenStore.updateToken({ ...rest, isRevoked: false }, { mode: 'Replace', etag: tokenEntity.etag });
+
+    context.log('✅ SUCCESS: Token un-revoked', { therapistId, tokenId: tokenLogId(tokenEntity.rowKey) });
+
+    return respond.json(200, {
+      success: true,
+      message: 'Token restored',
+      token: describeToken(updated, new Date())
+    });
+  })
+});
+
+// 🚀 AZURE FUNCTION - RESET CLIENT BINDING
+// POST /api/tokens/reset-binding { token | tokenId } - the next client to verify the link becomes its bound client
+app.http('reset-token-binding', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'tokens/reset-binding',
+
+  handler: therapistEndpoint('reset-token-binding', 'POST, OPTIONS', async (request, context, { therapistId, tokenStore, respond }) => {
+    const requestBody = await readJsonBody(request);
+    if (!requestBody) {
+      return respond.failure('invalid_json');
+    }
+    if (!requestBody.token && !requestBody.tokenId) {
+      return respond.failure('missing_token', { message: 'Missing token or tokenId parameter' });
+    }
+
+    const tokenEntity = await findOwnedToken(tokenStore, therapistId, requestBody);
+    if (!tokenEntity) {
+      return respond.failure('token_not_found');
+    }
+    if (!tokenEntity.bindingMode) {
+      return respond.failure('invalid_binding', { message: 'Token was not created with client binding' });
+    }
+
+    const { boundFingerprint, boundAt, ...rest } = tokenEntity;
+    const updated = await tokenStore.updateToken(
+      { ...rest, bindingResetAt: new Date().toISOString() },
+      { mode: 'Replace', etag: tokenEntity.etag }
+    );
+    invalidateCachedToken(therapistId, tokenEntity.rowKey);
+
+    context.log('✅ SUCCESS: Token client binding reset', {
+      therapistId,
+      tokenId: tokenLogId(tokenEntity.rowKey),
+      previouslyBoundAt: boundAt || null
+    });
+
+    return respond.json(200, {
+      success: true,
+      message: 'Token binding reset - the next client to open the link will be bound',
+      token: describeToken(updated, new Date())
+    });
+  })
+});
+
+// 🚀 AZURE FUNCTION - EXTEND EXPIRY
+// POST /api/tokens/extend { token | tokenId, expiresAt } or { token | tokenId, extendMinutes }
+app.http('extend-token', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'tokens/extend',
+
+  handler: therapistEndpoint('extend-token', 'POST, OPTIONS', async (request, context, { therapistId, tokenStore, respond }) => {
+    const requestBody = await readJsonBody(request);
+    if (!requestBody) {
+      return respond.failure('invalid_json');
+    }
+    const { expiresAt, extendMinutes } = requestBody;
+    if (!requestBody.token && !requestBody.tokenId) {
+      return respond.failure('missing_token', { message: 'Missing token or tokenId parameter' });
+    }
+
+    const tokenEntity = await findOwnedToken(tokenStore, therapistId, requestBody);
+    if (!tokenEntity) {
+      return respond.failure('token_not_found');
+    }
+
+    // Extend from the current expiry, or from now if the link has already lapsed.
+    // Sliding tokens move their absolute cap and restart the idle window.
+    const now = new Date();
+    const sliding = isSlidingToken(tokenEntity);
+    let newExpiry;
+    if (expiresAt) {
+      newExpiry = parseTokenDate(expiresAt);
+    } else if (Number(extendMinutes) > 0) {
+      const currentExpiry = parseTokenDate(sliding ? tokenEntity.absoluteExpiresAt : tokenEntity.expiresAt);
+      const base = !currentExpiry || currentExpiry < now ? now : currentExpiry;
+      newExpiry = new Date(base.getTime() + Number(extendMinutes) * 60 * 1000);
+    } else {
+      return respond.failure('invalid_expiry', { message: 'Provide expiresAt or a positive extendMinutes' });
+    }
+
+    if (!newExpiry || newExpiry <= now) {
+      return respond.failure('invalid_expiry', { message: 'New expiry must be a valid date in the future' });
+    }
+    const notBefore = parseTokenDate(tokenEntity.notBefore);
+    if (notBefore && newExpiry <= notBefore) {
+      return respond.failure('invalid_expiry', { message: 'New expiry must be later than the token\'s notBefore' });
+    }
+    if (newExpiry > maxExpiryFrom(now)) {
+      return respond.failure('invalid_expiry', { message: 'New expiry exceeds the maximum token lifetime' });
+    }
+
+    const extended = sliding
+      ? {
+        absoluteExpiresAt: newExpiry.toISOString(),
+        expiresAt: slidingExpiryFrom({ ...tokenEntity, absoluteExpiresAt: newExpiry.toISOString() }, now).toISOString()
+      }
+      : { expiresAt: newExpiry.toISOString() };
+    const updated = await tokenStore.updateToken(
+      { ...tokenEntity, ...extended, extendedAt: now.toISOString() },
+      { mode: 'Replace', etag: tokenEntity.etag }
+    );
+    invalidateCachedToken(therapistId, tokenEntity.rowKey);
+
+    context.log('✅ SUCCESS: Token expiry extended', {
+      therapistId,
+      tokenId: tokenLogId(tokenEntity.rowKey),
+      previousExpiresAt: tokenEntity.expiresAt,
+      ...extended
+    });
+
+    return respond.json(200, {
+      success: true,
+      message: 'Token expiry extended',
+      token: describeToken(updated, now)
+    });
+  })
+});
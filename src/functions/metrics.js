@@ -0,0 +1,33 @@
+import { app } from '@azure/functions';
+import { authenticateService } from '../lib/serviceauth.js';
+import { createResponder } from '../lib/responses.js';
+import { renderPrometheus } from '../lib/metrics.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+// 🚀 AZURE FUNCTION - PROMETHEUS METRICS
+// GET /api/metrics - this instance's counters and latency histograms in the Prometheus text format.
+// Scrapers authenticate like other trusted backends: a signed request, X-API-Key or a service Bearer JWT.
+app.http('metrics', {
+  methods: ['GET'],
+  authLevel: 'anonymous',
+  route: 'metrics',
+
+  handler: withRequestLogging(async (request, context) => {
+    const respond = createResponder(request, { methods: 'GET' });
+
+    const auth = await authenticateService(request);
+    if (!auth.authenticated) {
+      context.warn('❌ ERROR: Metrics caller authentication failed:', auth.reason);
+      return respond.failure(auth.reason, { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+
+    return {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
+      },
+      body: renderPrometheus()
+    };
+  })
+});
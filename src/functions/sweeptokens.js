@@ -0,0 +1,122 @@
+import { app } from '@azure/functions';
+import { getTokenStore, getTokenArchiveStore } from '../lib/tokenstore.js';
+import { createLogContext } from '../lib/logger.js';
+import { tokenValidity } from '../lib/tokenpolicy.js';
+import { METRICS, incrementCounter } from '../lib/metrics.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const sweepSchedule = process.env.TOKEN_SWEEP_SCHEDULE || '0 0 3 * * *'; // daily at 03:00 UTC
+const sweepMode = (process.env.TOKEN_SWEEP_MODE || 'delete').toLowerCase(); // delete | archive
+const revokedRetentionDays = Number(process.env.TOKEN_REVOKED_RETENTION_DAYS || 30);
+const SWEEP_BATCH_SIZE = 100;
+
+// 🔎 Decide whether a token entity should be swept, and why
+// Tokens with unparseable dates are left for a human to look at
+function sweepReason(entity, now) {
+  if (tokenValidity(entity, now).state === 'expired') {
+    return 'expired';
+  }
+
+  if (entity.isRevoked === true && entity.revokedAt) {
+    const revokedDate = new Date(entity.revokedAt);
+    const retentionMs = revokedRetentionDays * 24 * 60 * 60 * 1000;
+    if (!isNaN(revokedDate.getTime()) && now - revokedDate > retentionMs) {
+      return 'revoked';
+    }
+  }
+
+  return null;
+}
+
+// 🧹 Page through the token table and remove expired / long-revoked tokens
+export async function sweepTokens(context, now = new Date()) {
+  const tokenStore = getTokenStore();
+  const archiveStore = sweepMode === 'archive' ? getTokenArchiveStore() : null;
+
+  const summary = {
+    mode: sweepMode,
+    scanned: 0,
+    expired: 0,
+    revoked: 0,
+    removed: 0,
+    archived: 0,
+    failedPartitions: 0
+  };
+
+  const sweepPartition = async (partitionKey, entities) => {
+    try {
+      if (archiveStore) {
+        // sweepReason is bookkeeping for this run, not an archive column
+        await archiveStore.upsertTokens(partitionKey, entities.map(({ sweepReason: reason, ...entity }) => ({
+          ...entity,
+          archivedAt: now.toISOString()
+        })));
+        summary.archived += entities.length;
+      }
+      await tokenStore.deleteTokens(partitionKey, entities.map(entity => entity.rowKey));
+      summary.removed += entities.length;
+      for (const entity of entities) {
+        incrementCounter(METRICS.cleanupDeletions, { source: 'sweeper', reason: entity.sweepReason });
+      }
+    } catch (err) {
+      summary.failedPartitions++;
+      context.warn('⚠️ Failed to sweep partition:', {
+        therapistId: partitionKey,
+        tokens: entities.length,
+        error: err.message
+      });
+    }
+  };
+
+  if (archiveStore) {
+    await archiveStore.ensureTable();
+  }
+
+  // Group by partition - table transactions must share a PartitionKey.
+  // Full batches are flushed while paging so memory stays bounded.
+  const pending = new Map();
+  for await (const entity of tokenStore.listAllTokens()) {
+    summary.scanned++;
+    const reason = sweepReason(entity, now);
+    if (!reason) {
+      continue;
+    }
+    summary[reason]++;
+
+    const batch = pending.get(entity.partitionKey) || [];
+    batch.push({ ...entity, sweepReason: reason });
+    pending.set(entity.partitionKey, batch);
+
+    if (batch.length >= SWEEP_BATCH_SIZE) {
+      pending.delete(entity.partitionKey);
+      await sweepPartition(entity.partitionKey, batch);
+    }
+  }
+
+  for (const [partitionKey, batch] of pending) {
+    await sweepPartition(partitionKey, batch);
+  }
+
+  return summary;
+}
+
+// 🚀 AZURE FUNCTION - SCHEDULED EXPIRED TOKEN SWEEPER
+app.timer('sweep-expired-tokens', {
+  schedule: sweepSchedule,
+  handler: async (timer, invocationContext) => {
+    const context = createLogContext(invocationContext);
+    context.log('🧹 Expired token sweeper triggered', {
+      isPastDue: !!timer?.isPastDue,
+      mode: sweepMode,
+      revokedRetentionDays
+    });
+
+    try {
+      const summary = await sweepTokens(context);
+      context.log('✅ Token sweep complete:', summary);
+    } catch (err) {
+      context.error('❌ ERROR: Token sweep failed:', err.message, err.stack);
+      throw err;
+    }
+  }
+});
@@ -0,0 +1,68 @@
+import { app } from '@azure/functions';
+import { authenticateTherapistOrService } from '../lib/serviceauth.js';
+import { createResponder } from '../lib/responses.js';
+import { listAccessAttempts } from '../lib/auditlog.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// 🚀 AZURE FUNCTION - ACCESS AUDIT QUERY
+app.http('token-audit', {
+  methods: ['GET', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'token-audit',
+
+  handler: withRequestLogging(async (request, context) => {
+    context.log('📜 Token audit query function triggered');
+
+    const respond = createResponder(request, { methods: 'GET, OPTIONS' });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    // Therapist Bearer JWT, or a signed request from a trusted backend naming ?therapistId=
+    const auth = await authenticateTherapistOrService(request);
+    if (!auth.authenticated) {
+      context.warn('❌ ERROR: Audit caller authentication failed:', auth.reason);
+      return respond.failure(auth.reason, { headers: { 'WWW-Authenticate': 'Bearer' } });
+    }
+
+    const url = new URL(request.url);
+    const therapistId = url.searchParams.get('therapistId') || auth.therapistId;
+    const tokenId = url.searchParams.get('tokenId');
+    const requestedLimit = parseInt(url.searchParams.get('limit'), 10);
+    const limit = Number.isNaN(requestedLimit) ? DEFAULT_LIMIT : Math.min(Math.max(requestedLimit, 1), MAX_LIMIT);
+
+    if (!therapistId) {
+      return respond.failure('missing_therapist_id', { message: 'Missing therapistId parameter' });
+    }
+
+    // Therapists may only read the audit trail for their own links
+    if (!auth.service && therapistId !== auth.therapistId) {
+      context.warn('❌ ERROR: Authenticated therapist cannot read another therapist\'s audit trail', {
+        authenticatedTherapistId: auth.therapistId,
+        requestedTherapistId: therapistId
+      });
+      return respond.failure('forbidden', { message: 'Not permitted to read this audit trail' });
+    }
+
+    try {
+      const attempts = await listAccessAttempts(therapistId, { tokenId, limit });
+
+      context.log('✅ SUCCESS: Audit trail returned', { therapistId, count: attempts.length });
+
+      return respond.json(200, {
+        success: true,
+        therapistId,
+        count: attempts.length,
+        attempts
+      });
+    } catch (err) {
+      context.error('❌ ERROR: Audit query failed:', err.message);
+      return respond.failure('audit_query_failed');
+    }
+  })
+});
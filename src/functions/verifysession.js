@@ -0,0 +1,65 @@
+import { app } from '@azure/functions';
+import { createResponder } from '../lib/responses.js';
+import { verifySessionToken, readSessionCredential } from '../lib/session.js';
+import { withRequestLogging } from '../lib/logger.js';
+
+// 🚀 AZURE FUNCTION - SESSION CREDENTIAL VERIFICATION
+// Stateless check of the signed credential issued by verify-token (no table access)
+app.http('verify-session', {
+  methods: ['POST', 'OPTIONS'],
+  authLevel: 'anonymous',
+  route: 'verify-session',
+
+  handler: withRequestLogging(async (request, context) => {
+    context.log('🎫 Session verification function triggered');
+
+    const respond = createResponder(request, { methods: 'POST, OPTIONS' });
+
+    // Handle CORS preflight
+    if (request.method === 'OPTIONS') {
+      return respond.preflight();
+    }
+
+    // Accept the credential as a Bearer header or in the JSON body
+    const sessionToken = await readSessionCredential(request);
+    if (sessionToken === null) {
+      context.warn('❌ ERROR: Invalid JSON in request body');
+      return respond.failure('invalid_json');
+    }
+
+    if (!sessionToken) {
+      context.warn('❌ ERROR: Missing session token');
+      return respond.failure('missing_session');
+    }
+
+    const result = verifySessionToken(sessionToken);
+    if (!result.valid) {
+      context.warn('❌ ERROR: Session verification failed:', result.reason);
+
+      if (result.reason === 'session_not_configured') {
+        return respond.failure('configuration_error');
+      }
+
+      return respond.failure(result.reason === 'expired' ? 'session_expired' : 'invalid_session', { valid: false });
+    }
+
+    const { claims } = result;
+    const expiresAt = new Date(claims.exp * 1000);
+
+    context.log('✅ SUCCESS: Session verified', {
+      therapistId: claims.therapistId,
+      expiresAt: expiresAt.toISOString()
+    });
+
+    return respond.json(200, {
+      success: true,
+      valid: true,
+      therapistId: claims.therapistId,
+      activityUrl: claims.activityUrl,
+      permittedActivities: claims.activities || [claims.activityUrl],
+      expiresAt: expiresAt.toISOString(),
+      timeRemainingSeconds: Math.max(0, Math.floor((expiresAt - Date.now()) / 1000)),
+      message: 'Session is valid'
+    });
+  })
+});
@@ -1,30 +1,59 @@
 import { app } from '@azure/functions';
-import { TableClient } from '@azure/data-tables';
-
-// 🔐 ENVIRONMENT VARIABLES
-const connectionString = process.env.AzureWebJobsStorage;
-const allowedOrigins = process.env.ALLOWED_ORIGIN 
-  ? process.env.ALLOWED_ORIGIN.split(',').map(origin => origin.trim())
-  : ['https://onlinetherapytools.com']; // fallback
-const tableName = 'accesstokens';
-const failedTokenUrl = process.env.FAILED_TOKEN_URL || 'https://onlinetherapytools.com/access-denied';
-
-// 🌐 STANDARDIZED CORS FUNCTION
-function getAllowedOrigin(request) {
-  const requestOrigin = request.headers.get('origin');
-  
-  // For development, allow localhost
-  if (requestOrigin && requestOrigin.includes('localhost')) {
-    return requestOrigin;
-  }
-  
-  // Check if request origin is in allowed list
-  if (requestOrigin && allowedOrigins.includes(requestOrigin)) {
-    return requestOrigin;
+import { authenticateTherapistOrService } from '../lib/serviceauth.js';
+import { getTokenStore } from '../lib/tokenstore.js';
+import { isAllowedRedirect, redirectFallbackUrl, failedTokenUrl } from '../lib/urlpolicy.js';
+import { createResponder } from '../lib/responses.js';
+import { withAccessAudit } from '../lib/auditlog.js';
+import { checkRateLimit, recordInvalidTokenFailure, getClientIp } from '../lib/ratelimit.js';
+import { issueSessionToken, isSessionSigningConfigured } from '../lib/session.js';
+import { findToken, migrateLegacyToken, isTokenHashingConfigured, tokenLogId } from '../lib/tokenhash.js';
+import { TOKEN_SCHEMA_VERSION, tokenValidity, parseTokenDate, isSlidingToken, extendSlidingExpiry, isValidTableKey } from '../lib/tokenpolicy.js';
+import { withRequestLogging } from '../lib/logger.js';
+import { enforceClientBinding } from '../lib/binding.js';
+import { permittedActivities, isActivityInScope } from '../lib/activityscope.js';
+import { METRICS, incrementCounter } from '../lib/metrics.js';
+import { withStorageResilience, isStorageUnavailable } from '../lib/resilience.js';
+import { getCachedToken, cacheVerifiedToken, invalidateCachedToken } from '../lib/verificationcache.js';
+
+const MAX_USE_UPDATE_ATTEMPTS = 3;
+
+// 🔢 USAGE LIMITS
+// Tokens with a positive `maxUses` may only be verified that many times.
+function hasUsageLimit(entity) {
+  return Number.isInteger(entity.maxUses) && entity.maxUses > 0;
+}
+
+// Record one use of a limited token with ETag-based optimistic concurrency.
+// Returns { consumed: true, useCount, entity } (the updated entity) or { consumed: false, useCount } when exhausted.
+async function consumeTokenUse(tokenStore, entity) {
+  let current = entity;
+
+  for (let attempt = 1; attempt <= MAX_USE_UPDATE_ATTEMPTS; attempt++) {
+    const useCount = Number(current.useCount) || 0;
+    if (useCount >= current.maxUses) {
+      return { consumed: false, useCount };
+    }
+
+    try {
+      const used = {
+        partitionKey: current.partitionKey,
+        rowKey: current.rowKey,
+        useCount: useCount + 1,
+        lastUsedAt: new Date().toISOString()
+      };
+      const { etag } = await tokenStore.updateToken(used, { mode: 'Merge', etag: current.etag });
+      return { consumed: true, useCount: used.useCount, entity: { ...current, ...used, etag } };
+    } catch (err) {
+      // 412 = another verification updated the entity first - re-read and retry
+      if (err.statusCode !== 412 || attempt === MAX_USE_UPDATE_ATTEMPTS) {
+        throw err;
+      }
+      current = await tokenStore.getToken(entity.partitionKey, entity.rowKey);
+      if (!current) {
+        return { consumed: false, useCount };
+      }
+    }
   }
-  
-  // Default to first allowed origin
-  return allowedOrigins[0];
 }
 
 // 🚀 AZURE FUNCTION - TOKEN VERIFICATION & ACCESS GATE
@@ -33,38 +62,35 @@ app.http('verify-token', {
   authLevel: 'anonymous',
   route: 'verify-token',
   
-  handler: async (request, context) => {
+  // Every attempt is written to the access audit log
+  handler: withRequestLogging(withAccessAudit(async (request, context, attempt) => {
     context.log('🔍 Token verification function triggered');
 
-    // CORS headers - Updated to match generator hub for 2FA compatibility
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': getAllowedOrigin(request),
-      'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, X-Requested-With, X-Request-ID',
-      'Access-Control-Allow-Credentials': 'false',
-      'Cache-Control': 'no-cache, no-store, must-revalidate'
-    };
+    // GET failures redirect to the failure page; POST failures are JSON
+    const respond = createResponder(request, {
+      methods: 'POST, GET, OPTIONS',
+      failureRedirectUrl: request.method === 'GET' ? failedTokenUrl : null,
+      onFailure: code => { attempt.outcome = code; }
+    });
 
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
-      return {
-        status: 200,
-        headers: corsHeaders,
-        body: ''
-      };
+      return respond.preflight();
     }
 
     // Validate environment
-    if (!connectionString) {
-      context.log('❌ ERROR: Missing required environment variables');
-      return {
-        status: 500,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Server configuration error' 
-        }
-      };
+    let tokenStore;
+    try {
+      tokenStore = withStorageResilience(getTokenStore());
+      if (!isSessionSigningConfigured()) {
+        throw new Error('SESSION_SIGNING_SECRET is not configured');
+      }
+      if (!isTokenHashingConfigured()) {
+        throw new Error('TOKEN_HASH_PEPPER is not configured');
+      }
+    } catch (configErr) {
+      context.error('❌ ERROR: Missing required environment variables:', configErr.message);
+      return respond.failure('configuration_error');
     }
 
     let token;
@@ -79,8 +105,7 @@ app.http('verify-token', {
       therapistId = url.searchParams.get('therapist_id');
       redirectUrl = url.searchParams.get('redirect') || url.searchParams.get('activity');
       
-      context.log('📝 GET request - Token from URL params:', token ? token.substring(0, 8) + '...' : 'missing');
-      context.log('📝 GET request - Therapist ID from URL params:', therapistId || 'missing');
+      context.debug('📝 GET request parameters', { token: tokenLogId(token), therapistId: therapistId || 'missing' });
     } else {
       // Extract token and therapist ID from request body (for API calls)
       let requestBody;
@@ -90,259 +115,175 @@ app.http('verify-token', {
         therapistId = requestBody.therapistId;
         redirectUrl = requestBody.redirectUrl || requestBody.activityUrl;
       } catch (err) {
-        context.log('❌ ERROR: Invalid JSON in request body');
-        return {
-          status: 400,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-          jsonBody: { 
-            success: false, 
-            message: 'Invalid JSON in request body' 
-          }
-        };
+        context.warn('❌ ERROR: Invalid JSON in request body');
+        return respond.failure('invalid_json');
       }
       
-      context.log('📝 POST request - Token from body:', token ? token.substring(0, 8) + '...' : 'missing');
-      context.log('📝 POST request - Therapist ID from body:', therapistId || 'missing');
+      context.debug('📝 POST request parameters', { token: tokenLogId(token), therapistId: therapistId || 'missing' });
+    }
+
+    attempt.token = token;
+    attempt.therapistId = therapistId;
+
+    // 🚦 Per-IP / per-therapist rate limiting and brute-force lockout
+    const clientIp = getClientIp(request);
+    const rateLimit = await checkRateLimit({ ip: clientIp, therapistId });
+    if (rateLimit.limited) {
+      context.warn('❌ ERROR: Rate limit exceeded', {
+        reason: rateLimit.reason,
+        therapistId: therapistId || 'missing',
+        retryAfterSeconds: rateLimit.retryAfterSeconds
+      });
+
+      return respond.failure('rate_limited', {
+        therapistId,
+        headers: { 'Retry-After': String(rateLimit.retryAfterSeconds) },
+        retryAfterSeconds: rateLimit.retryAfterSeconds
+      });
     }
 
-    // 🔧 ENHANCED LOGGING: Complete parameter debugging
-    context.log('🔍 TOKEN VALIDATION DEBUG START:', {
-      receivedToken: token ? token.substring(0, 8) + '...' : 'missing',
-      receivedTokenLength: token ? token.length : 0,
-      receivedTherapistId: therapistId || 'missing',
-      receivedRedirect: redirectUrl || 'missing',
-      requestMethod: request.method,
-      requestUrl: request.url,
-      timestampReceived: new Date().toISOString(),
-      queryWillUse: token && therapistId ? `PartitionKey eq '${therapistId}' and RowKey eq '${token}'` : 'incomplete_parameters'
+    context.debug('🔍 Token validation started', {
+      token: tokenLogId(token),
+      tokenLength: token ? token.length : 0,
+      therapistId: therapistId || 'missing',
+      hasRedirect: !!redirectUrl,
+      method: request.method,
+      path: new URL(request.url).pathname
     });
 
     // Validate required parameters for 2FA
     if (!token) {
-      context.log('❌ ERROR: Missing token');
-      
-      // For GET requests, redirect to failed page
-      if (request.method === 'GET') {
-        return {
-          status: 302,
-          headers: {
-            'Location': failedTokenUrl + '?error=missing_token',
-            ...corsHeaders
-          }
-        };
-      }
-      
-      // For POST requests, return JSON error
-      return {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Missing token parameter',
-          error: 'missing_token'
-        }
-      };
+      context.warn('❌ ERROR: Missing token');
+      return respond.failure('missing_token', { therapistId });
     }
 
     // Require therapist ID for 2FA security - no fallback allowed
     if (!therapistId) {
-      context.log('❌ ERROR: Missing therapist_id parameter - 2FA security requires both token AND therapist ID');
-      
-      // For GET requests, redirect to failed page with specific error
-      if (request.method === 'GET') {
-        return {
-          status: 302,
-          headers: {
-            'Location': failedTokenUrl + '?error=missing_therapist_id',
-            ...corsHeaders
-          }
-        };
-      }
-      
-      // For POST requests, return JSON error
-      return {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Missing therapist_id parameter - required for 2FA security validation',
-          error: 'missing_therapist_id'
-        }
-      };
+      context.warn('❌ ERROR: Missing therapist_id parameter - 2FA security requires both token AND therapist ID');
+      return respond.failure('missing_therapist_id');
     }
 
     try {
-      // Initialize table client
-      const tokensClient = TableClient.fromConnectionString(connectionString, tableName);
-
       // 🔐 2FA TOKEN VERIFICATION: Direct entity lookup for exact match
       // This is the most efficient method for thousands of therapists - O(1) lookup
-      context.log('🔍 2FA TOKEN DIRECT LOOKUP:', {
+      context.debug('🔍 2FA TOKEN DIRECT LOOKUP:', {
         therapistId: therapistId,
-        token: token.substring(0, 8) + '...',
-        lookupMethod: 'getEntity',
-        partitionKey: therapistId,
-        rowKey: token.substring(0, 8) + '...'
+        token: tokenLogId(token),
+        lookupMethod: 'findToken',
+        partitionKey: therapistId
       });
 
-      let tokenEntity = null;
-      let entityFound = false;
-      
-      try {
-        // Direct entity lookup - O(1) operation, most efficient for scale
-        tokenEntity = await tokensClient.getEntity(therapistId, token);
-        entityFound = true;
-        
-        context.log('🔍 DIRECT LOOKUP SUCCESS:', {
+      // A therapist_id or token that cannot be a table key (the legacy lookup uses the raw token)
+      // matches nothing - answer "not found" without a lookup Table Storage would reject with a 400
+      const lookupKeysValid = isValidTableKey(therapistId) && isValidTableKey(token);
+
+      // ⚡ A recent successful verification of this token may answer without a table read
+      const cachedEntity = lookupKeysValid ? getCachedToken(therapistId, token) : null;
+
+      // Direct entity lookup by hashed RowKey - O(1) operation, most efficient for scale.
+      // Only a missing entity means "not found"; storage errors fall through to the catch below.
+      let { entity: tokenEntity, legacy: isLegacyToken } = !lookupKeysValid
+        ? { entity: null, legacy: false }
+        : cachedEntity
+          ? { entity: cachedEntity, legacy: false }
+          : await findToken(tokenStore, therapistId, token);
+      const entityFound = !!tokenEntity;
+
+      if (entityFound) {
+        context.debug('🔍 DIRECT LOOKUP SUCCESS:', {
           found: true,
+          fromCache: !!cachedEntity,
           partitionKey: tokenEntity.partitionKey,
-          rowKey: tokenEntity.rowKey ? tokenEntity.rowKey.substring(0, 8) + '...' : 'missing',
+          token: tokenLogId(token),
+          legacyPlaintextKey: isLegacyToken,
           hasExpiresAt: !!tokenEntity.expiresAt,
           hasActivityUrl: !!tokenEntity.activityUrl,
           hasTherapistId: !!tokenEntity.therapistId,
           isComplete: !!(tokenEntity.expiresAt && tokenEntity.activityUrl && tokenEntity.therapistId)
         });
-        
-      } catch (getEntityError) {
-        if (getEntityError.statusCode === 404) {
-          context.log('🔍 DIRECT LOOKUP RESULT: Token not found (404 - expected for invalid tokens)');
-        } else {
-          context.log('❌ DIRECT LOOKUP ERROR:', {
-            errorMessage: getEntityError.message,
-            statusCode: getEntityError.statusCode,
-            errorType: getEntityError.name
-          });
-        }
-        tokenEntity = null;
-        entityFound = false;
+      } else if (!tokenEntity) {
+        context.debug('🔍 DIRECT LOOKUP RESULT: Token not found (expected for invalid tokens)');
       }
 
-      // 🔧 ENHANCED LOGGING: Direct lookup results
-      context.log('🔍 DATABASE DIRECT LOOKUP RESULTS:', {
-        lookupMethod: 'getEntity',
-        searchedFor: {
-          partitionKey: therapistId,
-          rowKey: token.substring(0, 8) + '...'
-        },
-        entityFound: entityFound,
-        isValidSchema: tokenEntity ? !!(tokenEntity.expiresAt && tokenEntity.activityUrl && tokenEntity.therapistId) : false,
-        lookupComplete: true
-      });
-
       // Check if token was found and has valid schema
       if (!tokenEntity) {
-        context.log('❌ ERROR: No token found with direct lookup', { 
+        context.warn('❌ ERROR: No token found with direct lookup', { 
           searchedFor: {
             partitionKey: therapistId,
-            rowKey: token.substring(0, 8) + '...'
+            token: tokenLogId(token)
           },
           rejectionReason: 'Token does not exist in database'
         });
-        
-        if (request.method === 'GET') {
-          return {
-            status: 302,
-            headers: {
-              'Location': failedTokenUrl + '?error=invalid_token',
-              ...corsHeaders
-            }
-          };
+
+        // Repeated misses against one partition look like token guessing
+        try {
+          if (await recordInvalidTokenFailure({ ip: clientIp, therapistId })) {
+            context.warn('🔒 Client locked out of therapist partition after repeated invalid tokens', { therapistId });
+          }
+        } catch (lockoutErr) {
+          context.warn('⚠️ Failed to record invalid token failure:', lockoutErr.message);
         }
         
-        return {
-          status: 401,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-          jsonBody: { 
-            success: false, 
-            message: 'Invalid token - no exact match found',
-            error: 'invalid_token'
-          }
-        };
+        return respond.failure('invalid_token', { therapistId });
       }
 
       // Extract fields from new token schema only
-      const { therapistId: entityTherapistId, expiresAt, isRevoked, createdAt, activityUrl } = tokenEntity;
+      const { therapistId: entityTherapistId, expiresAt, isRevoked, createdAt, activityUrl, maxUses } = tokenEntity;
 
       // Validate essential fields exist (new schema only)
       if (!expiresAt || !activityUrl || !entityTherapistId) {
-        context.log('❌ ERROR: Token missing essential fields for new schema', { 
+        context.warn('❌ ERROR: Token missing essential fields for new schema', { 
           hasExpiresAt: !!expiresAt,
           hasActivityUrl: !!activityUrl,
           hasTherapistId: !!entityTherapistId,
           tokenPartitionKey: tokenEntity.partitionKey,
-          tokenRowKey: tokenEntity.rowKey?.substring(0, 8) + '...'
+          token: tokenLogId(token)
         });
         
-        if (request.method === 'GET') {
-          return {
-            status: 302,
-            headers: {
-              'Location': failedTokenUrl + '?error=invalid_token',
-              ...corsHeaders
-            }
-          };
-        }
-        
-        return {
-          status: 400,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-          jsonBody: { 
-            success: false, 
-            message: 'Token has invalid schema - new schema required',
-            error: 'invalid_token_schema'
-          }
-        };
+        return respond.failure('invalid_token_schema', { therapistId });
       }
 
       // Check if token is manually revoked (new schema feature)
       if (isRevoked === true) {
-        context.log('❌ ERROR: Token has been revoked', { therapistId: entityTherapistId, token: token.substring(0, 8) + '...' });
+        context.warn('❌ ERROR: Token has been revoked', { therapistId: entityTherapistId, token: tokenLogId(token) });
         
-        if (request.method === 'GET') {
-          return {
-            status: 302,
-            headers: {
-              'Location': failedTokenUrl + '?error=token_revoked',
-              ...corsHeaders
-            }
-          };
-        }
-        
-        return {
-          status: 401,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-          jsonBody: { 
-            success: false, 
-            message: 'Token has been revoked',
-            error: 'token_revoked'
-          }
-        };
+        return respond.failure('token_revoked', { therapistId });
       }
 
-      // Check if token is expired
+      // Check the validity window (notBefore / expiresAt, with clock skew and the expiry grace period)
       const now = new Date();
-      const expirationDate = new Date(expiresAt);
-      
-      // 🔍 COMPREHENSIVE DATE DEBUGGING FOR LIVE TESTING
-      context.log('🔍 DATE COMPARISON DEBUG:', {
-        token: token.substring(0, 8) + '...',
-        therapistId: entityTherapistId,
-        rawExpiresAtFromDB: expiresAt,
-        rawExpiresAtType: typeof expiresAt,
-        parsedExpirationDate: expirationDate.toString(),
-        parsedExpirationDateISO: expirationDate.toISOString(),
-        isExpirationDateValid: !isNaN(expirationDate.getTime()),
-        currentTime: now.toString(),
-        currentTimeISO: now.toISOString(),
-        isCurrentTimeValid: !isNaN(now.getTime()),
-        comparisonResult: expirationDate < now,
-        timeDifferenceMS: expirationDate.getTime() - now.getTime(),
-        timeDifferenceMinutes: Math.round((expirationDate.getTime() - now.getTime()) / (1000 * 60)),
-        bothDatesValid: !isNaN(expirationDate.getTime()) && !isNaN(now.getTime())
+      let validity = tokenValidity(tokenEntity, now);
+
+      if (validity.state === 'invalid') {
+        context.warn('❌ ERROR: Token has an unparseable expiresAt or notBefore', {
+          therapistId: entityTherapistId,
+          token: tokenLogId(token)
+        });
+
+        return respond.failure('invalid_token_date', { therapistId });
+      }
+
+      if (validity.state === 'not_yet_valid') {
+        context.warn('❌ ERROR: Token is not valid yet', {
+          therapistId: entityTherapistId,
+          notBefore: validity.notBefore.toISOString(),
+          currentTime: now.toISOString()
+        });
+
+        return respond.failure('token_not_yet_valid', { therapistId, notBefore: validity.notBefore.toISOString() });
+      }
+
+      let expirationDate = validity.expiresAt;
+
+      context.debug('🔍 Expiry check', {
+        token: tokenLogId(token),
+        expiresAt: expirationDate.toISOString(),
+        currentTime: now.toISOString(),
+        remainingMinutes: Math.round((expirationDate.getTime() - now.getTime()) / (1000 * 60))
       });
-      
-      if (expirationDate < now) {
-        context.log('❌ ERROR: Token is expired', {
+
+      if (validity.state === 'expired') {
+        context.warn('❌ ERROR: Token is expired', {
           therapistId: entityTherapistId,
           expiresAt: expirationDate.toISOString(),
           currentTime: now.toISOString(),
@@ -351,42 +292,139 @@ app.http('verify-token', {
 
         // Clean up expired token from table
         try {
-          await tokensClient.deleteEntity(tokenEntity.partitionKey, tokenEntity.rowKey);
+          await tokenStore.deleteToken(tokenEntity.partitionKey, tokenEntity.rowKey);
+          incrementCounter(METRICS.cleanupDeletions, { source: 'verify', reason: 'expired' });
           context.log('🧹 Cleaned up expired token from database');
         } catch (cleanupErr) {
-          context.log('⚠️ Failed to cleanup expired token:', cleanupErr.message);
+          context.warn('⚠️ Failed to cleanup expired token:', cleanupErr.message);
         }
 
-        if (request.method === 'GET') {
-          return {
-            status: 302,
-            headers: {
-              'Location': failedTokenUrl + '?error=token_expired',
-              ...corsHeaders
-            }
-          };
+        return respond.failure('token_expired', { therapistId, expiresAt: expirationDate.toISOString() });
+      }
+
+      if (validity.inGracePeriod) {
+        context.log('⏳ Token expired but within the grace period', {
+          therapistId: entityTherapistId,
+          expiresAt: expirationDate.toISOString(),
+          validUntil: validity.validUntil.toISOString()
+        });
+      }
+
+      // 🎯 A caller-supplied redirect must stay inside the token's activity scope
+      const activities = permittedActivities(tokenEntity);
+      if (redirectUrl && !isActivityInScope(activities, redirectUrl)) {
+        context.warn('❌ ERROR: Requested activity is outside the token scope', {
+          therapistId: entityTherapistId,
+          token: tokenLogId(token),
+          requestedUrl: redirectUrl,
+          activityBundle: tokenEntity.activityBundle || null
+        });
+
+        return respond.failure('activity_not_permitted', { therapistId, permittedActivities: activities });
+      }
+
+      // 📌 Bound tokens: the first verifying client is recorded, any other client is refused
+      // (checked before usage so a forwarded link cannot burn the client's remaining uses)
+      const responseHeaders = {};
+      if (tokenEntity.bindingMode) {
+        const binding = await enforceClientBinding(tokenStore, tokenEntity, request, now);
+        if (!binding.allowed) {
+          context.warn('❌ ERROR: Token is bound to another client', {
+            therapistId: entityTherapistId,
+            token: tokenLogId(token),
+            bindingMode: tokenEntity.bindingMode,
+            boundAt: binding.entity.boundAt
+          });
+
+          return respond.failure('token_bound_elsewhere', { therapistId });
         }
-        
-        return {
-          status: 401,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-          jsonBody: { 
-            success: false, 
-            message: 'Token has expired',
-            error: 'token_expired',
-            expiresAt: expirationDate.toISOString()
-          }
-        };
+        tokenEntity = binding.entity;
+        if (binding.setCookie) {
+          responseHeaders['Set-Cookie'] = binding.setCookie;
+        }
+        if (binding.firstUse) {
+          context.log('📌 Token bound to the first verifying client', {
+            token: tokenLogId(token),
+            bindingMode: tokenEntity.bindingMode
+          });
+        }
+      }
+
+      // Check and record usage for single-use / max-uses tokens
+      let useCount = null;
+      if (hasUsageLimit(tokenEntity)) {
+        const usage = await consumeTokenUse(tokenStore, tokenEntity);
+        useCount = usage.useCount;
+
+        if (!usage.consumed) {
+          context.warn('❌ ERROR: Token has reached its usage limit', {
+            therapistId: entityTherapistId,
+            token: tokenLogId(token),
+            useCount,
+            maxUses
+          });
+
+          return respond.failure('token_exhausted', { therapistId });
+        }
+        tokenEntity = usage.entity;
+      }
+
+      // 🔁 Sliding tokens: each successful use pushes expiresAt forward, never past absoluteExpiresAt
+      const sliding = isSlidingToken(tokenEntity);
+      if (sliding) {
+        try {
+          tokenEntity = await extendSlidingExpiry(tokenStore, tokenEntity, now);
+          validity = tokenValidity(tokenEntity, now);
+          expirationDate = validity.expiresAt;
+          context.debug('🔁 Sliding expiry extended', {
+            token: tokenLogId(token),
+            expiresAt: expirationDate.toISOString(),
+            absoluteExpiresAt: tokenEntity.absoluteExpiresAt
+          });
+        } catch (slideErr) {
+          // The link still verifies against its current deadline; the next use slides it again
+          context.warn('⚠️ Failed to extend sliding expiry:', slideErr.message);
+        }
+      }
+
+      // 🧂 Migrate legacy plaintext RowKeys to the hashed key on first successful use
+      // (after every check and write above, so a refused verification never re-keys the token)
+      if (isLegacyToken) {
+        try {
+          tokenEntity = await migrateLegacyToken(tokenStore, { ...tokenEntity, schemaVersion: TOKEN_SCHEMA_VERSION }, token);
+          context.log('🧂 Migrated legacy token to hashed RowKey:', tokenLogId(token));
+        } catch (migrationErr) {
+          // Another request may have migrated it first - pick up whichever copy exists now
+          context.warn('⚠️ Legacy token migration failed:', migrationErr.message);
+          tokenEntity = (await findToken(tokenStore, therapistId, token)).entity || tokenEntity;
+        }
+      }
+
+      // Token is valid! Read-only verifications are cached (never under an unmigrated legacy RowKey)
+      if (!cachedEntity && tokenEntity.rowKey !== token) {
+        cacheVerifiedToken(tokenEntity, validity.validUntil, now);
       }
 
-      // Token is valid! 
-      const timeRemaining = Math.round((expirationDate - now) / (1000 * 60));
+      const timeRemaining = Math.max(0, Math.round((expirationDate - now) / (1000 * 60)));
       
       context.log('✅ SUCCESS: Token verified successfully', {
         therapistId: entityTherapistId,
         expiresAt: expirationDate.toISOString(),
         timeRemainingMinutes: timeRemaining,
-        createdAt: createdAt
+        createdAt: createdAt,
+        ...(useCount !== null && { useCount, maxUses })
+      });
+
+      // 🎫 Short-lived signed session credential - the raw token never leaves the hub
+      const session = issueSessionToken({
+        therapistId: entityTherapistId,
+        activityUrl,
+        token,
+        ...(tokenEntity.activityBundle && { activities }),
+        // Never embed an unmigrated legacy RowKey - it is the raw token
+        ...(sliding && tokenEntity.rowKey !== token && { tokenId: tokenEntity.rowKey }),
+        tokenExpiresAt: validity.validUntil,
+        now
       });
 
       // For GET requests with redirect URL, fetch and serve activity content with caching
@@ -396,235 +434,181 @@ app.http('verify-token', {
         
         // 🛡️ VALIDATE AND SANITIZE REDIRECT URL
         try {
-          // Ensure the URL is valid and uses HTTPS
-          const urlObj = new URL(finalRedirectUrl);
+          // Ensure the URL is valid
+          new URL(finalRedirectUrl);
           
-          // Check if it's one of your allowed domains
-          const isAllowedDomain = allowedOrigins.some(origin => 
-            finalRedirectUrl.startsWith(origin)
-          );
-          
-          if (!isAllowedDomain) {
-            context.log('⚠️ WARNING: Redirect URL not in allowed domains, using fallback', {
+          // Exact scheme/host/port and path prefix match against the redirect allowlist
+          if (!isAllowedRedirect(finalRedirectUrl)) {
+            context.warn('⚠️ WARNING: Redirect URL not in allowed domains, using fallback', {
               originalUrl: finalRedirectUrl,
-              allowedOrigins
+              fallbackUrl: redirectFallbackUrl
             });
-            finalRedirectUrl = 'https://onlinetherapytools.com/dashboard';
+            finalRedirectUrl = redirectFallbackUrl;
           }
           
-          // Add token validation info to redirect URL
+          // Add signed session credential to redirect URL
           const redirectUrlObj = new URL(finalRedirectUrl);
-          redirectUrlObj.searchParams.set('validated_token', token);
-          redirectUrlObj.searchParams.set('therapist_id', therapistId);
-          redirectUrlObj.searchParams.set('expires_at', expirationDate.toISOString());
+          redirectUrlObj.searchParams.set('session_token', session.sessionToken);
           
-          context.log('🔄 Redirecting to activity with validation parameters:', redirectUrlObj.toString());
+          context.debug('🔄 Redirecting to activity with session credential:', redirectUrlObj.origin + redirectUrlObj.pathname);
           
           // Calculate cache duration (time remaining until token expires)
           const timeRemainingSeconds = Math.floor((expirationDate - now) / 1000);
           const cacheUntil = expirationDate.toUTCString();
           
-          context.log('✅ Redirect response configured:', {
-            targetUrl: redirectUrlObj.toString(),
+          context.debug('✅ Redirect response configured:', {
+            targetUrl: redirectUrlObj.origin + redirectUrlObj.pathname,
+            sessionExpiresAt: session.expiresAt.toISOString(),
             timeRemainingSeconds,
             cacheUntil,
-            tokenId: token.substring(0, 8) + '...'
+            tokenId: tokenLogId(token)
           });
           
-          // 302 Redirect to activity page with validation parameters
-          // This allows frontend token validation middleware to process the parameters
-          return {
-            status: 302,
-            headers: {
-              'Location': redirectUrlObj.toString(),
-              'Cache-Control': 'no-cache, no-store, must-revalidate',
-              ...corsHeaders
-            }
-          };
+          // 302 Redirect to activity page with the session credential
+          // Activity pages check it with POST /api/verify-session
+          return respond.redirect(redirectUrlObj.toString(), responseHeaders);
           
         } catch (urlError) {
-          context.log('❌ ERROR: Invalid redirect URL in token, using fallback', {
+          context.warn('❌ ERROR: Invalid redirect URL in token, using fallback', {
             originalUrl: finalRedirectUrl,
             error: urlError.message
           });
           
           // Fallback to safe default URL
-          const fallbackUrl = new URL('https://onlinetherapytools.com/dashboard');
-          fallbackUrl.searchParams.set('validated_token', token);
-          fallbackUrl.searchParams.set('therapist_id', therapistId);
-          fallbackUrl.searchParams.set('expires_at', expirationDate.toISOString());
+          const fallbackUrl = new URL(redirectFallbackUrl);
+          fallbackUrl.searchParams.set('session_token', session.sessionToken);
           fallbackUrl.searchParams.set('error', 'invalid_activity_url');
           
-          return {
-            status: 302,
-            headers: {
-              'Location': fallbackUrl.toString(),
-              ...corsHeaders
-            }
-          };
+          return respond.redirect(fallbackUrl.toString(), responseHeaders);
         }
       }
 
       // For API calls or GET without redirect, return JSON response
-      return {
-        status: 200,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: {
-          success: true,
-          valid: true,
-          therapistId: therapistId,
-          activityUrl: activityUrl,
-          expiresAt: expirationDate.toISOString(),
-          timeRemainingMinutes: timeRemaining,
-          createdAt: createdAt,
-          message: 'Token is valid - access granted'
-        }
-      };
+      return respond.json(200, {
+        success: true,
+        valid: true,
+        therapistId: therapistId,
+        activityUrl: activityUrl,
+        expiresAt: expirationDate.toISOString(),
+        timeRemainingMinutes: timeRemaining,
+        ...(validity.notBefore && { notBefore: validity.notBefore.toISOString() }),
+        ...(validity.inGracePeriod && { inGracePeriod: true, gracePeriodEndsAt: validity.validUntil.toISOString() }),
+        ...(sliding && {
+          expiryMode: 'sliding',
+          idleTimeoutMinutes: tokenEntity.idleTimeoutMinutes,
+          absoluteExpiresAt: parseTokenDate(tokenEntity.absoluteExpiresAt).toISOString()
+        }),
+        createdAt: createdAt,
+        permittedActivities: activities,
+        ...(tokenEntity.activityBundle && { activityBundle: tokenEntity.activityBundle }),
+        sessionToken: session.sessionToken,
+        sessionExpiresAt: session.expiresAt.toISOString(),
+        ...(useCount !== null && {
+          useCount,
+          maxUses,
+          remainingUses: maxUses - useCount
+        }),
+        message: 'Token is valid - access granted'
+      }, responseHeaders);
 
     } catch (err) {
-      context.log('❌ ERROR: Token verification failed:', err.message, err.stack);
-      
-      if (request.method === 'GET') {
-        return {
-          status: 302,
-          headers: {
-            'Location': failedTokenUrl + '?error=verification_failed',
-            ...corsHeaders
-          }
-        };
+      // An outage is never reported as a bad link: 503 + Retry-After (or its own redirect reason)
+      if (isStorageUnavailable(err)) {
+        context.error('❌ ERROR: Token storage unavailable:', err.message);
+        return respond.failure('service_unavailable', {
+          therapistId,
+          headers: { 'Retry-After': String(err.retryAfterSeconds) }
+        });
       }
+
+      context.error('❌ ERROR: Token verification failed:', err.message, err.stack);
       
-      return {
-        status: 500,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Failed to verify token - please try again',
-          error: 'verification_failed'
-        }
-      };
+      return respond.failure('verification_failed', { therapistId });
     }
-  }
+  }))
 });
 
-// 🚀 AZURE FUNCTION - TOKEN REVOCATION (FUTURE FEATURE)
+// 🚀 AZURE FUNCTION - TOKEN REVOCATION
 app.http('revoke-token', {
   methods: ['POST', 'OPTIONS'],
   authLevel: 'anonymous',
   route: 'revoke-token',
   
-  handler: async (request, context) => {
+  handler: withRequestLogging(async (request, context) => {
     context.log('🔒 Token revocation function triggered');
 
-    // CORS headers - Updated to match generator hub for 2FA compatibility
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': getAllowedOrigin(request),
-      'Access-Control-Allow-Methods': 'POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, X-Requested-With, X-Request-ID',
-      'Cache-Control': 'no-cache, no-store, must-revalidate'
-    };
+    const respond = createResponder(request, { methods: 'POST, OPTIONS' });
 
     // Handle CORS preflight
     if (request.method === 'OPTIONS') {
-      return {
-        status: 200,
-        headers: corsHeaders,
-        body: ''
-      };
+      return respond.preflight();
     }
 
-    // Extract Bearer token from Authorization header (therapist authentication)
-    const authHeader = request.headers.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        status: 401,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Missing or invalid authorization token' 
-        }
-      };
+    // Therapist Bearer JWT, or a signed request from a trusted backend acting for body.therapistId
+    const auth = await authenticateTherapistOrService(request);
+    if (!auth.authenticated) {
+      context.warn('❌ ERROR: Revocation caller authentication failed:', auth.reason);
+      return respond.failure(auth.reason, { headers: { 'WWW-Authenticate': 'Bearer' } });
     }
 
     let requestBody;
     try {
       requestBody = await request.json();
     } catch (err) {
-      return {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Invalid JSON in request body' 
-        }
-      };
+      return respond.failure('invalid_json');
+    }
+    if (!requestBody || typeof requestBody !== 'object') {
+      return respond.failure('invalid_json');
     }
 
     const { token, therapistId } = requestBody;
     if (!token) {
-      return {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Missing token parameter' 
-        }
-      };
+      return respond.failure('missing_token');
     }
 
     if (!therapistId) {
-      return {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Missing therapistId parameter - required for 2FA token revocation' 
-        }
-      };
+      return respond.failure('missing_therapist_id', {
+        message: 'Missing therapistId parameter - required for 2FA token revocation'
+      });
     }
 
     try {
-      const tokensClient = TableClient.fromConnectionString(connectionString, tableName);
+      const tokenStore = withStorageResilience(getTokenStore());
       
       // 🔐 2FA TOKEN REVOCATION: Direct entity lookup for exact match
       // This ensures only the therapist who generated the token can revoke it
-      context.log('🔍 2FA TOKEN REVOCATION DIRECT LOOKUP:', {
+      context.debug('🔍 2FA TOKEN REVOCATION DIRECT LOOKUP:', {
         therapistId: therapistId,
-        token: token.substring(0, 8) + '...',
-        lookupMethod: 'getEntity'
+        token: tokenLogId(token),
+        lookupMethod: 'findToken'
       });
 
-      let tokenEntity = null;
-      try {
-        // Direct entity lookup - O(1) operation
-        tokenEntity = await tokensClient.getEntity(therapistId, token);
-        
+      // Direct entity lookup - O(1) operation; storage errors fall through to the catch below.
+      // Values that cannot be table keys match nothing and are not looked up.
+      let { entity: tokenEntity } = isValidTableKey(therapistId) && isValidTableKey(token)
+        ? await findToken(tokenStore, therapistId, token)
+        : { entity: null };
+
+      if (!tokenEntity) {
+        context.debug('🔍 REVOCATION LOOKUP: Token not found');
+      } else if (!(tokenEntity.expiresAt && tokenEntity.activityUrl && tokenEntity.therapistId)) {
         // Verify token has valid schema
-        if (!(tokenEntity.expiresAt && tokenEntity.activityUrl && tokenEntity.therapistId)) {
-          context.log('❌ Token found but has invalid schema for revocation');
-          tokenEntity = null;
-        }
-      } catch (getEntityError) {
-        if (getEntityError.statusCode === 404) {
-          context.log('🔍 REVOCATION LOOKUP: Token not found (404)');
-        } else {
-          context.log('❌ REVOCATION LOOKUP ERROR:', getEntityError.message);
-        }
+        context.warn('❌ Token found but has invalid schema for revocation');
         tokenEntity = null;
       }
 
       if (!tokenEntity) {
-        return {
-          status: 404,
-          headers: { 'Content-Type': 'application/json', ...corsHeaders },
-          jsonBody: { 
-            success: false, 
-            message: 'Token not found or uses deprecated schema' 
-          }
-        };
+        return respond.failure('token_not_found', { message: 'Token not found or uses deprecated schema' });
       }
 
-      // TODO: Verify therapist owns this token by comparing therapistId from Bearer token
+      // Only the therapist who owns the token may revoke it (the lookup already scopes service calls)
+      if (!auth.service && auth.therapistId !== tokenEntity.therapistId) {
+        context.warn('❌ ERROR: Authenticated therapist does not own this token', {
+          authenticatedTherapistId: auth.therapistId,
+          tokenTherapistId: tokenEntity.therapistId
+        });
+        return respond.failure('forbidden', { message: 'Not permitted to revoke this token' });
+      }
 
       // Revoke the token
       const updatedEntity = {
@@ -633,33 +617,29 @@ app.http('revoke-token', {
         revokedAt: new Date().toISOString()
       };
 
-      await tokensClient.updateEntity(updatedEntity, 'Replace');
+      await tokenStore.updateToken(updatedEntity, { mode: 'Replace' });
+      invalidateCachedToken(tokenEntity.partitionKey, tokenEntity.rowKey);
 
       context.log('✅ SUCCESS: Token revoked', {
-        token: token.substring(0, 8) + '...',
-        therapistId: tokenEntity.therapistId
+        token: tokenLogId(token),
+        therapistId: tokenEntity.therapistId,
+        revokedBy: auth.service ? auth.caller : 'therapist'
       });
 
-      return {
-        status: 200,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: {
-          success: true,
-          message: 'Token successfully revoked',
-          revokedAt: updatedEntity.revokedAt
-        }
-      };
+      return respond.json(200, {
+        success: true,
+        message: 'Token successfully revoked',
+        revokedAt: updatedEntity.revokedAt
+      });
 
     } catch (err) {
-      context.log('❌ ERROR: Token revocation failed:', err.message);
-      return {
-        status: 500,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders },
-        jsonBody: { 
-          success: false, 
-          message: 'Failed to revoke token' 
-        }
-      };
+      if (isStorageUnavailable(err)) {
+        context.error('❌ ERROR: Token storage unavailable:', err.message);
+        return respond.failure('service_unavailable', { headers: { 'Retry-After': String(err.retryAfterSeconds) } });
+      }
+
+      context.error('❌ ERROR: Token revocation failed:', err.message);
+      return respond.failure('revocation_failed');
     }
-  }
+  })
 });
\ No newline at end of file
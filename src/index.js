@@ -2,5 +2,16 @@ import { app } from '@azure/functions';
 
 // Import all functions to register them
 import './functions/verifytokens.js';
+import './functions/verifysession.js';
+import './functions/introspecttoken.js';
+import './functions/managetokens.js';
+import './functions/createtoken.js';
+import './functions/sweeptokens.js';
+import './functions/tokenaudit.js';
+import './functions/accessdenied.js';
+import './functions/errorcatalogue.js';
+import './functions/heartbeat.js';
+import './functions/health.js';
+import './functions/metrics.js';
 
 export default app;
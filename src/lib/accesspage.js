@@ -0,0 +1,203 @@
+// 🚫 ACCESS DENIED PAGE
+// Client-facing copy for every error code verify-token sends to FAILED_TOKEN_URL.
+// `newLink` = asking the therapist for a fresh link is the way forward; `retry` = trying again later may work.
+export const ACCESS_DENIED_REASONS = {
+  missing_token: {
+    title: 'Incomplete Access Link',
+    message: 'This link is missing its access code. Please open the complete link your therapist sent you.',
+    newLink: true
+  },
+  missing_therapist_id: {
+    title: 'Incomplete Access Link',
+    message: 'This link is missing part of its security information. Please open the complete link your therapist sent you.',
+    newLink: true
+  },
+  invalid_token: {
+    title: 'Access Link Not Recognised',
+    message: 'This access link is not valid. It may have been copied incorrectly or replaced by a newer link.',
+    newLink: true
+  },
+  token_revoked: {
+    title: 'Access Link Withdrawn',
+    message: 'This access link has been withdrawn by your therapist and can no longer be used.',
+    newLink: true
+  },
+  token_expired: {
+    title: 'Access Link Expired',
+    message: 'This access link has expired. Links are only valid for a limited time to protect your privacy.',
+    newLink: true
+  },
+  token_not_yet_valid: {
+    title: 'Access Link Not Active Yet',
+    message: 'This access link has been scheduled for later and cannot be used yet. Please open it again at your session time.',
+    retry: true
+  },
+  token_exhausted: {
+    title: 'Access Link Already Used',
+    message: 'This access link has already been used the maximum number of times allowed.',
+    newLink: true
+  },
+  activity_not_permitted: {
+    title: 'Activity Not Included',
+    message: 'This access link does not include the activity you tried to open. Please use the link your therapist sent for that activity.',
+    newLink: true
+  },
+  token_bound_elsewhere: {
+    title: 'Link Opened on Another Device',
+    message: 'This access link has already been opened on a different device or network and can only be used there.',
+    newLink: true
+  },
+  rate_limited: {
+    title: 'Too Many Attempts',
+    message: 'There have been too many attempts to open this link. Please wait a few minutes and try again.',
+    retry: true
+  },
+  service_unavailable: {
+    title: 'Temporarily Unavailable',
+    message: 'We cannot check access links right now. Your link has not been affected - please try again in a minute or two.',
+    retry: true
+  },
+  verification_failed: {
+    title: 'Something Went Wrong',
+    message: 'We could not check your access link just now. Please try again in a few minutes.',
+    retry: true,
+    newLink: true
+  }
+};
+
+const DEFAULT_REASON = {
+  title: 'Access Denied',
+  message: 'This access link could not be used.',
+  newLink: true
+};
+
+const DEFAULT_ACCENT_COLOR = '#3498db';
+
+export function accessDeniedReason(error) {
+  return Object.hasOwn(ACCESS_DENIED_REASONS, error) ? ACCESS_DENIED_REASONS[error] : DEFAULT_REASON;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Where the "request a new link" action points: the therapist's own contact details first,
+// then the hub-wide contact page, otherwise nothing (plain instructions only)
+function newLinkAction(branding, contactUrl, error) {
+  if (branding?.contactEmail) {
+    const subject = encodeURIComponent('Request a new access link');
+    const body = encodeURIComponent(`Hello, my access link is not working (${error || 'access_denied'}). Could you please send me a new one?`);
+    return { href: `mailto:${branding.contactEmail}?subject=${subject}&body=${body}`, label: `Email ${branding.displayName || 'your therapist'} for a new link` };
+  }
+  if (branding?.contactUrl) {
+    return { href: branding.contactUrl, label: `Contact ${branding.displayName || 'your therapist'} for a new link` };
+  }
+  if (contactUrl) {
+    return { href: contactUrl, label: 'Request a new link' };
+  }
+  return null;
+}
+
+// Render the full HTML page for an error code. Every dynamic value is escaped.
+export function renderAccessDeniedPage({ error, branding = null, contactUrl = null, homeUrl }) {
+  const reason = accessDeniedReason(error);
+  const accentColor = branding?.accentColor || DEFAULT_ACCENT_COLOR;
+  const therapistName = branding?.displayName || 'your therapist';
+  const action = reason.newLink ? newLinkAction(branding, contactUrl, error) : null;
+
+  const brandingHtml = branding
+    ? `
+        <div class="branding">
+            ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="" class="logo">` : ''}
+            ${branding.displayName ? `<div class="therapist">${escapeHtml(branding.displayName)}</div>` : ''}
+            ${branding.practiceName ? `<div class="practice">${escapeHtml(branding.practiceName)}</div>` : ''}
+        </div>`
+    : '';
+
+  const nextStepHtml = reason.newLink
+    ? `<p><strong>What can I do?</strong><br>Please ask ${escapeHtml(therapistName)} to send you a new access link.</p>`
+    : '';
+
+  const actionHtml = action
+    ? `<a href="${escapeHtml(action.href)}" class="btn">${escapeHtml(action.label)}</a>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(reason.title)} - Online Therapy Tools</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            margin: 0;
+            padding: 0;
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        .container {
+            background: white;
+            border-radius: 10px;
+            box-shadow: 0 10px 25px rgba(0,0,0,0.1);
+            padding: 40px;
+            text-align: center;
+            max-width: 500px;
+            margin: 20px;
+        }
+        .branding { margin-bottom: 20px; }
+        .logo { max-height: 64px; max-width: 200px; }
+        .therapist { color: #2c3e50; font-weight: 600; font-size: 18px; }
+        .practice { color: #95a5a6; font-size: 14px; }
+        .icon { font-size: 64px; margin-bottom: 20px; }
+        h1 { color: #2c3e50; margin-bottom: 20px; font-size: 28px; }
+        p { color: #7f8c8d; line-height: 1.6; margin-bottom: 30px; font-size: 16px; }
+        .btn {
+            background: ${accentColor};
+            color: white;
+            padding: 12px 30px;
+            text-decoration: none;
+            border-radius: 5px;
+            display: inline-block;
+            font-weight: 500;
+            margin: 5px;
+        }
+        .btn.secondary { background: #95a5a6; }
+        .support-info {
+            margin-top: 30px;
+            padding-top: 20px;
+            border-top: 1px solid #ecf0f1;
+            font-size: 14px;
+            color: #95a5a6;
+        }
+    </style>
+</head>
+<body>
+    <div class="container" data-error="${escapeHtml(error || 'access_denied')}">${brandingHtml}
+        <div class="icon">🔒</div>
+        <h1>${escapeHtml(reason.title)}</h1>
+        <p>${escapeHtml(reason.message)}</p>
+        ${nextStepHtml}
+        ${actionHtml}
+        <a href="${escapeHtml(homeUrl)}" class="btn secondary">Return to Homepage</a>
+
+        <div class="support-info">
+            <p>
+                <strong>Need help?</strong><br>
+                ${reason.retry ? 'If the problem continues, contact' : 'Contact'} ${escapeHtml(therapistName)} for assistance.
+            </p>
+        </div>
+    </div>
+</body>
+</html>
+`;
+}
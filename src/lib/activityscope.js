@@ -0,0 +1,99 @@
+import fs from 'node:fs';
+import { isAllowedRedirect } from './urlpolicy.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const bundlesPath = process.env.ACTIVITY_BUNDLES_PATH;
+const activityBaseUrl = process.env.ACTIVITY_BASE_URL || 'https://onlinetherapytools.com';
+
+let cachedBundles = null;
+
+function loadBundles() {
+  if (!bundlesPath) {
+    return {};
+  }
+  if (!cachedBundles) {
+    cachedBundles = JSON.parse(fs.readFileSync(bundlesPath, 'utf8'));
+  }
+  return cachedBundles;
+}
+
+function parseUrl(value, base) {
+  try {
+    return new URL(value, base);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Compare activities by origin and path; query strings and fragments are the page's own business
+function activityKey(url) {
+  return `${url.origin}${url.pathname}`;
+}
+
+// 🎯 ACTIVITY SCOPE
+// Every token is scoped to the activities it may open. A plain token is scoped to its activityUrl;
+// a bundle token names a bundle from the JSON file at ACTIVITY_BUNDLES_PATH:
+//   { "anxiety-starter": { "title": "Anxiety starter pack", "activities": ["/activities/bingo/bingo.html", ...] } }
+// Paths resolve against ACTIVITY_BASE_URL. The resolved list is copied onto the entity at creation
+// (`activityBundle`, `activityScope` as a JSON array) so editing the file never widens existing links.
+
+// Resolve creation input to scope fields. Returns { activityUrl, activityBundle?, activityScope? } or { error, message }.
+export function resolveActivityScope({ activityUrl, activityBundle }) {
+  if (activityBundle === undefined || activityBundle === null) {
+    if (!activityUrl || !isAllowedRedirect(activityUrl)) {
+      return { error: 'invalid_activity_url', message: 'activityUrl must be an absolute URL on an allowed host and path' };
+    }
+    return { activityUrl };
+  }
+
+  let bundle;
+  try {
+    bundle = typeof activityBundle === 'string' && Object.hasOwn(loadBundles(), activityBundle)
+      ? loadBundles()[activityBundle]
+      : null;
+  } catch (err) {
+    bundle = null;
+  }
+  const activities = Array.isArray(bundle?.activities)
+    ? bundle.activities.map(entry => parseUrl(entry, activityBaseUrl)?.toString())
+    : [];
+  if (!activities.length || activities.some(entry => !entry || !isAllowedRedirect(entry))) {
+    return { error: 'invalid_activity_bundle', message: 'activityBundle is not a configured bundle of allowed activities' };
+  }
+
+  // The link lands on activityUrl when given (it must be in the bundle), else on the bundle's first activity
+  if (activityUrl && !isActivityInScope(activities, activityUrl)) {
+    return { error: 'invalid_activity_url', message: 'activityUrl must be one of the bundle\'s activities' };
+  }
+  return {
+    activityUrl: activityUrl || activities[0],
+    activityBundle,
+    activityScope: JSON.stringify(activities)
+  };
+}
+
+// Activities a token entity may open
+export function permittedActivities(entity) {
+  if (entity.activityScope) {
+    try {
+      const activities = JSON.parse(entity.activityScope);
+      if (Array.isArray(activities)) {
+        return activities.filter(entry => typeof entry === 'string');
+      }
+    } catch (err) {
+      // Fall through to the single-activity scope
+    }
+  }
+  return entity.activityUrl ? [entity.activityUrl] : [];
+}
+
+export function isActivityInScope(activities, value) {
+  const url = value ? parseUrl(value) : null;
+  if (!url || url.username || url.password) {
+    return false;
+  }
+  return activities.some(entry => {
+    const allowed = parseUrl(entry);
+    return allowed && activityKey(allowed) === activityKey(url);
+  });
+}
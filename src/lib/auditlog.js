@@ -0,0 +1,144 @@
+import crypto from 'node:crypto';
+import { createTokenStore } from './tokenstore.js';
+import { METRICS, incrementCounter, observeHistogram } from './metrics.js';
+import { withStorageTimeout } from './resilience.js';
+import { hashToken, isTokenHashingConfigured } from './tokenhash.js';
+
+export const auditTableName = 'tokenaudit';
+const MAX_TIMESTAMP = 8640000000000000; // largest valid JS Date value
+
+// 📜 ACCESS AUDIT LOG
+// One row per verify-token attempt, stored in its own table:
+//   PartitionKey = therapistId (or 'unknown'), RowKey = reverse timestamp + random suffix
+// so a partition lists newest attempts first. `tokenId` is the token's stored RowKey (its keyed
+// hash), the same id the management listing and create-token return.
+let auditStore = null;
+let auditTableReady = null;
+
+function getAuditStore() {
+  if (!auditStore) {
+    auditStore = createTokenStore(undefined, auditTableName);
+  }
+  return auditStore;
+}
+
+// Override the audit backend (local tooling and automated tests)
+export function setAuditStore(store) {
+  auditStore = store;
+  auditTableReady = null;
+}
+
+// Unkeyed token reference embedded in session credentials (`tid`)
+export function hashTokenId(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Rows written in the same millisecond by this instance still sort newest first
+let lastRowMs = 0;
+let sameMsSequence = 0;
+
+function auditRowKey(date) {
+  const ms = date.getTime();
+  sameMsSequence = ms === lastRowMs ? sameMsSequence + 1 : 0;
+  lastRowMs = ms;
+
+  const reverseTicks = String(MAX_TIMESTAMP - ms).padStart(16, '0');
+  const reverseSequence = String(9999 - Math.min(sameMsSequence, 9999)).padStart(4, '0');
+  return `${reverseTicks}-${reverseSequence}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export async function recordAccessAttempt({ therapistId, token, outcome, method, origin, userAgent }) {
+  const store = getAuditStore();
+  if (!auditTableReady) {
+    auditTableReady = store.ensureTable().catch(err => {
+      auditTableReady = null;
+      throw err;
+    });
+  }
+  await auditTableReady;
+
+  const occurredAt = new Date();
+  const partitionKey = therapistId || 'unknown';
+  return store.createToken({
+    partitionKey,
+    rowKey: auditRowKey(occurredAt),
+    therapistId: partitionKey,
+    tokenId: token && isTokenHashingConfigured() ? hashToken(token) : '',
+    outcome,
+    method,
+    origin: origin || '',
+    userAgent: (userAgent || '').substring(0, 512),
+    occurredAt: occurredAt.toISOString()
+  });
+}
+
+// Newest-first attempts for a therapist, optionally narrowed to one token
+export async function listAccessAttempts(therapistId, { tokenId, limit = 50 } = {}) {
+  const attempts = [];
+
+  for await (const row of getAuditStore().listTokensByTherapist(therapistId)) {
+    if (tokenId && row.tokenId !== tokenId) {
+      continue;
+    }
+    attempts.push({
+      therapistId: row.therapistId,
+      tokenId: row.tokenId,
+      outcome: row.outcome,
+      method: row.method,
+      origin: row.origin,
+      userAgent: row.userAgent,
+      occurredAt: row.occurredAt
+    });
+    if (attempts.length >= limit) {
+      break;
+    }
+  }
+
+  return attempts;
+}
+
+// Outcome of a response the handler did not report a failure code for
+function outcomeFromResponse(response) {
+  if (response.jsonBody) {
+    if (response.jsonBody.success) {
+      return 'success';
+    }
+    return response.jsonBody.error || (response.status >= 500 ? 'server_error' : 'invalid_request');
+  }
+
+  return response.status === 302 ? 'success' : 'invalid_request';
+}
+
+// Wrap a verify-token style handler so every attempt is audited and counted in the metrics.
+// The handler receives a third `attempt` argument to report the therapistId/token it parsed, and
+// sets `attempt.outcome` to the catalogue code of any failure it answers with.
+export function withAccessAudit(handler) {
+  return async (request, context) => {
+    const attempt = {};
+    const started = performance.now();
+    const response = await handler(request, context, attempt);
+
+    if (request.method !== 'OPTIONS') {
+      const outcome = attempt.outcome || outcomeFromResponse(response);
+      incrementCounter(METRICS.verifications, { method: request.method, outcome });
+      observeHistogram(METRICS.verificationDuration, { method: request.method }, (performance.now() - started) / 1000);
+
+      // Auditing must never block access - the write gets the token-table call timeout (no retries,
+      // and outside the storage breaker), and a failure is logged and ignored
+      try {
+        await withStorageTimeout(recordAccessAttempt({
+          therapistId: attempt.therapistId,
+          token: attempt.token,
+          outcome,
+          method: request.method,
+          origin: request.headers.get('origin'),
+          userAgent: request.headers.get('user-agent')
+        }), 'audit write');
+      } catch (err) {
+        context.warn('⚠️ Failed to write access audit record:', err.message);
+      }
+    }
+
+    return response;
+  };
+}
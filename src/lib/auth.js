@@ -0,0 +1,61 @@
+import fs from 'node:fs';
+import { verifyJwt } from './jwt.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const authSecret = process.env.THERAPIST_AUTH_SECRET;
+const authJwksPath = process.env.THERAPIST_AUTH_JWKS_PATH;
+const authIssuer = process.env.THERAPIST_AUTH_ISSUER;
+const authAudience = process.env.THERAPIST_AUTH_AUDIENCE;
+const therapistIdClaim = process.env.THERAPIST_AUTH_ID_CLAIM || 'therapistId';
+
+let cachedJwks = null;
+
+function loadJwks() {
+  if (!authJwksPath) {
+    return null;
+  }
+  if (!cachedJwks) {
+    cachedJwks = JSON.parse(fs.readFileSync(authJwksPath, 'utf8'));
+  }
+  return cachedJwks;
+}
+
+// 👤 THERAPIST AUTHENTICATION
+// Verifies the Bearer JWT on the request and resolves the therapist it was issued to.
+// Returns { authenticated: true, therapistId, claims } or { authenticated: false, reason } where reason
+// is an error catalogue code - JWT verification failures come back as `auth_<jwt reason>`.
+export function authenticateTherapist(request) {
+  const authHeader = request.headers.get('authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { authenticated: false, reason: 'missing_bearer_token' };
+  }
+
+  let jwks;
+  try {
+    jwks = loadJwks();
+  } catch (err) {
+    return { authenticated: false, reason: 'auth_not_configured' };
+  }
+
+  if (!authSecret && !jwks) {
+    return { authenticated: false, reason: 'auth_not_configured' };
+  }
+
+  const result = verifyJwt(authHeader.slice('Bearer '.length).trim(), {
+    secret: authSecret,
+    jwks,
+    issuer: authIssuer,
+    audience: authAudience
+  });
+
+  if (!result.valid) {
+    return { authenticated: false, reason: `auth_${result.reason}` };
+  }
+
+  const therapistId = result.claims[therapistIdClaim] || result.claims.sub;
+  if (!therapistId) {
+    return { authenticated: false, reason: 'auth_missing_therapist_claim' };
+  }
+
+  return { authenticated: true, therapistId: String(therapistId), claims: result.claims };
+}
@@ -0,0 +1,127 @@
+import crypto from 'node:crypto';
+import { getClientIp } from './ratelimit.js';
+import { hashToken } from './tokenhash.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const ipv4PrefixBits = Number(process.env.TOKEN_BINDING_IPV4_PREFIX || 24);
+const ipv6PrefixBits = Number(process.env.TOKEN_BINDING_IPV6_PREFIX || 64);
+
+export const BINDING_COOKIE = '__Host-tvh_binding';
+const BINDING_COOKIE_MAX_AGE = 400 * 24 * 60 * 60; // browsers cap cookie lifetime at 400 days
+export const BINDING_FACTORS = ['ip', 'userAgent', 'cookie'];
+const MAX_BIND_ATTEMPTS = 3;
+
+// 📌 CLIENT BINDING
+// A token created with `bindTo` records a fingerprint of the client that first verifies it.
+// Stored as `bindingMode` (sorted factor list, e.g. "cookie,ip") and `boundFingerprint`, a keyed
+// hash of the factor values - the raw IP, user agent and cookie are never stored.
+//   ip        - /24 (IPv4) or /64 (IPv6) network prefix, so DHCP churn within a network still matches
+//   userAgent - the User-Agent header
+//   cookie    - an HttpOnly cookie the hub sets on first use (reliable for GET links; cross-origin
+//               POST calls do not send it because CORS credentials are disabled)
+
+// Normalise creation input ('ip' | ['ip', 'userAgent'] | 'ip,cookie') to a bindingMode, or null when unbound.
+// Returns { bindingMode } or { error }.
+export function parseBindingMode(bindTo) {
+  if (bindTo === undefined || bindTo === null || bindTo === false) {
+    return { bindingMode: null };
+  }
+  const factors = (Array.isArray(bindTo) ? bindTo : String(bindTo).split(','))
+    .map(factor => String(factor).trim())
+    .filter(Boolean);
+  if (!factors.length || factors.some(factor => !BINDING_FACTORS.includes(factor))) {
+    return { error: `bindTo must list one or more of: ${BINDING_FACTORS.join(', ')}` };
+  }
+  return { bindingMode: [...new Set(factors)].sort().join(',') };
+}
+
+function ipPrefix(ip) {
+  if (/^\d{1,3}(?:\.\d{1,3}){3}$/.test(ip)) {
+    const value = ip.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(Number(octet)), 0n);
+    return `${(value >> BigInt(32 - ipv4PrefixBits)).toString(16)}/${ipv4PrefixBits}`;
+  }
+  if (ip.includes(':')) {
+    const [head, tail = ''] = ip.toLowerCase().split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    const value = groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group || '0', 16)), 0n);
+    return `${(value >> BigInt(128 - ipv6PrefixBits)).toString(16)}/${ipv6PrefixBits}`;
+  }
+  return ip;
+}
+
+function readCookie(request, name) {
+  const header = request.headers.get('cookie') || '';
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return value.join('=');
+    }
+  }
+  return null;
+}
+
+// Fingerprint of this request for the entity's bindingMode.
+// Returns { fingerprint, setCookie } - setCookie is the header value to send when a new cookie was minted.
+export function clientFingerprint(request, bindingMode) {
+  const factors = bindingMode.split(',');
+  const parts = [];
+  let setCookie = null;
+
+  for (const factor of factors) {
+    if (factor === 'ip') {
+      parts.push(`ip=${ipPrefix(getClientIp(request))}`);
+    } else if (factor === 'userAgent') {
+      parts.push(`ua=${request.headers.get('user-agent') || ''}`);
+    } else if (factor === 'cookie') {
+      let cookie = readCookie(request, BINDING_COOKIE);
+      if (!cookie || !/^[0-9a-f]{64}$/.test(cookie)) {
+        cookie = crypto.randomBytes(32).toString('hex');
+        setCookie = `${BINDING_COOKIE}=${cookie}; Path=/; Max-Age=${BINDING_COOKIE_MAX_AGE}; Secure; HttpOnly; SameSite=Lax`;
+      }
+      parts.push(`cookie=${cookie}`);
+    }
+  }
+
+  return { fingerprint: hashToken(`binding:${parts.join('|')}`), setCookie };
+}
+
+export function fingerprintMatches(entity, fingerprint) {
+  const expected = Buffer.from(String(entity.boundFingerprint));
+  const actual = Buffer.from(fingerprint);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Check (and on first use, record) the binding for a verification.
+// Returns { allowed, entity, setCookie, firstUse } - entity reflects the recorded binding.
+export async function enforceClientBinding(tokenStore, entity, request, now = new Date()) {
+  const { fingerprint, setCookie } = clientFingerprint(request, entity.bindingMode);
+  let current = entity;
+
+  for (let attempt = 1; ; attempt++) {
+    if (current.boundFingerprint) {
+      return { allowed: fingerprintMatches(current, fingerprint), entity: current, setCookie: null, firstUse: false };
+    }
+
+    try {
+      const boundAt = now.toISOString();
+      const { etag } = await tokenStore.updateToken({
+        partitionKey: current.partitionKey,
+        rowKey: current.rowKey,
+        boundFingerprint: fingerprint,
+        boundAt
+      }, { mode: 'Merge', etag: current.etag });
+      return { allowed: true, entity: { ...current, boundFingerprint: fingerprint, boundAt, etag }, setCookie, firstUse: true };
+    } catch (err) {
+      // 412 = the entity changed first (possibly a concurrent first use) - re-read and decide again
+      if (err.statusCode !== 412 || attempt === MAX_BIND_ATTEMPTS) {
+        throw err;
+      }
+      current = await tokenStore.getToken(entity.partitionKey, entity.rowKey);
+      if (!current) {
+        throw err;
+      }
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import fs from 'node:fs';
+
+// 🔐 ENVIRONMENT VARIABLES
+const brandingPath = process.env.THERAPIST_BRANDING_PATH;
+
+const ACCENT_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const EMAIL_PATTERN = /^[^\s@<>"]+@[^\s@<>"]+\.[^\s@<>"]+$/;
+
+let cachedBranding = null;
+
+function loadBranding() {
+  if (!brandingPath) {
+    return {};
+  }
+  if (!cachedBranding) {
+    cachedBranding = JSON.parse(fs.readFileSync(brandingPath, 'utf8'));
+  }
+  return cachedBranding;
+}
+
+function httpsUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && !url.username && !url.password ? url.toString() : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// 🎨 THERAPIST BRANDING
+// Optional display details for hub-rendered pages, read from the JSON file at
+// THERAPIST_BRANDING_PATH and keyed by therapistId:
+//   { "therapist-1": { "displayName", "practiceName", "logoUrl", "accentColor", "contactEmail", "contactUrl" } }
+// Returns only the fields that pass validation, or null when the therapist has no branding.
+export function getTherapistBranding(therapistId) {
+  if (!therapistId) {
+    return null;
+  }
+
+  let entry;
+  try {
+    entry = loadBranding()[therapistId];
+  } catch (err) {
+    return null;
+  }
+  if (!entry || typeof entry !== 'object') {
+    return null;
+  }
+
+  const branding = {
+    displayName: typeof entry.displayName === 'string' ? entry.displayName.trim().substring(0, 80) : null,
+    practiceName: typeof entry.practiceName === 'string' ? entry.practiceName.trim().substring(0, 80) : null,
+    logoUrl: entry.logoUrl ? httpsUrl(entry.logoUrl) : null,
+    accentColor: ACCENT_COLOR_PATTERN.test(entry.accentColor || '') ? entry.accentColor : null,
+    contactEmail: EMAIL_PATTERN.test(entry.contactEmail || '') ? entry.contactEmail : null,
+    contactUrl: entry.contactUrl ? httpsUrl(entry.contactUrl) : null
+  };
+
+  return Object.values(branding).some(Boolean) ? branding : null;
+}
@@ -0,0 +1,93 @@
+// 📚 ERROR CODE CATALOGUE
+// Every failure code the hub returns in `error`, with the HTTP status used for JSON responses
+// and, for codes a browser can hit on GET verify-token, the `?error=` reason sent to FAILED_TOKEN_URL.
+// Published as-is by GET /api/error-codes - add new codes here rather than inline in a handler.
+export const REDIRECT_REASON_PARAM = 'error';
+
+const AUTH_MESSAGE = 'Missing or invalid authorization token';
+
+export const ERROR_CODES = Object.freeze({
+  // Request shape
+  invalid_json: { status: 400, message: 'Invalid JSON in request body' },
+  invalid_request: { status: 400, message: 'Invalid request body' },
+  missing_token: { status: 400, message: 'Missing token parameter', redirect: 'missing_token' },
+  missing_therapist_id: { status: 400, message: 'Missing therapist_id parameter - required for 2FA security validation', redirect: 'missing_therapist_id' },
+  missing_session: { status: 400, message: 'Missing sessionToken parameter' },
+  invalid_status: { status: 400, message: 'Unknown token status filter' },
+  invalid_therapist_id: { status: 400, message: 'therapistId must be a non-empty string' },
+  invalid_activity_url: { status: 400, message: 'activityUrl is not an allowed activity URL' },
+  invalid_activity_bundle: { status: 400, message: 'activityBundle is not a configured bundle of allowed activities' },
+  invalid_expiry: { status: 400, message: 'Token expiry is invalid or outside the allowed lifetime' },
+  invalid_max_uses: { status: 400, message: 'maxUses must be a positive integer' },
+  invalid_idle_timeout: { status: 400, message: 'idleTimeoutMinutes is outside the allowed token lifetime' },
+  invalid_binding: { status: 400, message: 'bindTo must list one or more of: ip, userAgent, cookie' },
+  sliding_not_enabled: { status: 400, message: 'Session was not issued for a sliding-expiry token' },
+
+  // Token state (verify-token)
+  invalid_token: { status: 401, message: 'Invalid token - no exact match found', redirect: 'invalid_token' },
+  invalid_token_schema: { status: 401, message: 'Token has invalid schema - new schema required', redirect: 'invalid_token' },
+  invalid_token_date: { status: 401, message: 'Token has an unparseable expiresAt or notBefore', redirect: 'invalid_token' },
+  token_not_yet_valid: { status: 401, message: 'Token is not valid yet', redirect: 'token_not_yet_valid' },
+  token_revoked: { status: 401, message: 'Token has been revoked', redirect: 'token_revoked' },
+  token_expired: { status: 401, message: 'Token has expired', redirect: 'token_expired' },
+  token_exhausted: { status: 401, message: 'Token has reached its maximum number of uses', redirect: 'token_exhausted' },
+  activity_not_permitted: { status: 403, message: 'Token does not grant access to the requested activity', redirect: 'activity_not_permitted' },
+  token_bound_elsewhere: { status: 403, message: 'Token is bound to a different device or network', redirect: 'token_bound_elsewhere' },
+  rate_limited: { status: 429, message: 'Too many verification attempts - please try again later', redirect: 'rate_limited' },
+
+  // Session credentials (verify-session)
+  invalid_session: { status: 401, message: 'Invalid session' },
+  session_expired: { status: 401, message: 'Session has expired' },
+
+  // Caller authentication (therapist JWT or service credentials)
+  missing_bearer_token: { status: 401, message: AUTH_MESSAGE },
+  missing_credentials: { status: 401, message: 'Missing or invalid caller credentials' },
+  invalid_api_key: { status: 401, message: 'Missing or invalid caller credentials' },
+  // Credential verification failures are namespaced `auth_*` so they never read like token state
+  // (`auth_expired` is the caller's JWT, `token_expired` the access link)
+  auth_not_configured: { status: 401, message: AUTH_MESSAGE },
+  auth_missing_therapist_claim: { status: 401, message: AUTH_MESSAGE },
+  auth_malformed: { status: 401, message: AUTH_MESSAGE },
+  auth_unsupported_algorithm: { status: 401, message: AUTH_MESSAGE },
+  auth_unknown_key: { status: 401, message: AUTH_MESSAGE },
+  auth_invalid_signature: { status: 401, message: AUTH_MESSAGE },
+  auth_expired: { status: 401, message: AUTH_MESSAGE },
+  auth_not_yet_valid: { status: 401, message: AUTH_MESSAGE },
+  auth_invalid_issuer: { status: 401, message: AUTH_MESSAGE },
+  auth_invalid_audience: { status: 401, message: AUTH_MESSAGE },
+  stale_request: { status: 401, message: 'Request timestamp is outside the allowed signature window' },
+  replayed_request: { status: 401, message: 'Signed request has already been used' },
+  signature_required: { status: 401, message: 'Service requests must be signed' },
+
+  // Management
+  forbidden: { status: 403, message: 'Not permitted to access this token' },
+  token_not_found: { status: 404, message: 'Token not found' },
+  conflict: { status: 409, message: 'Token was modified concurrently - please retry' },
+
+  // Server side
+  configuration_error: { status: 500, message: 'Server configuration error', redirect: 'verification_failed' },
+  verification_failed: { status: 500, message: 'Failed to verify token - please try again', redirect: 'verification_failed' },
+  service_unavailable: { status: 503, message: 'Token storage is temporarily unavailable - please try again shortly', redirect: 'service_unavailable' },
+  revocation_failed: { status: 500, message: 'Failed to revoke token' },
+  creation_failed: { status: 500, message: 'Failed to create token' },
+  introspection_failed: { status: 500, message: 'Failed to introspect token' },
+  management_failed: { status: 500, message: 'Token management request failed' },
+  audit_query_failed: { status: 500, message: 'Failed to read access audit trail' }
+});
+
+// Catalogue entry for a code; unknown codes are treated as an unexpected server failure
+export function errorDetails(code) {
+  return Object.hasOwn(ERROR_CODES, code)
+    ? ERROR_CODES[code]
+    : { status: 500, message: 'Unexpected server error' };
+}
+
+// Machine-readable list for frontend teams
+export function listErrorCodes() {
+  return Object.entries(ERROR_CODES).map(([code, { status, message, redirect }]) => ({
+    code,
+    status,
+    message,
+    redirectReason: redirect || null
+  }));
+}
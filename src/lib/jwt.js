@@ -0,0 +1,107 @@
+import crypto from 'node:crypto';
+
+// 🔏 MINIMAL JWT SUPPORT (HS256 shared secret, RS256/ES256 via JWKS)
+const HMAC_ALGORITHMS = { HS256: 'sha256' };
+const ASYMMETRIC_ALGORITHMS = { RS256: 'sha256', ES256: 'sha256' };
+
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function base64UrlDecodeJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Sign a payload as an HS256 JWT
+export function signJwt(payload, secret, header = {}) {
+  const encodedHeader = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT', ...header }));
+  const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest('base64url');
+
+  return `${encodedHeader}.${encodedPayload}.${signature}`;
+}
+
+// Verify a JWT against a shared secret and/or a JWKS document.
+// Returns { valid: true, claims } or { valid: false, reason }.
+export function verifyJwt(jwt, { secret, jwks, issuer, audience, clockToleranceSeconds = 30 } = {}) {
+  const parts = typeof jwt === 'string' ? jwt.split('.') : [];
+  if (parts.length !== 3) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  let header;
+  let claims;
+  try {
+    header = base64UrlDecodeJson(encodedHeader);
+    claims = base64UrlDecodeJson(encodedPayload);
+  } catch (err) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const signingInput = `${encodedHeader}.${encodedPayload}`;
+  const signatureBuffer = Buffer.from(signature, 'base64url');
+  let signatureValid = false;
+
+  if (HMAC_ALGORITHMS[header.alg]) {
+    if (!secret) {
+      return { valid: false, reason: 'unsupported_algorithm' };
+    }
+    const expected = crypto
+      .createHmac(HMAC_ALGORITHMS[header.alg], secret)
+      .update(signingInput)
+      .digest();
+    signatureValid = expected.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expected, signatureBuffer);
+  } else if (ASYMMETRIC_ALGORITHMS[header.alg]) {
+    const jwk = (jwks?.keys || []).find(key =>
+      (!header.kid || key.kid === header.kid) && (!key.alg || key.alg === header.alg)
+    );
+    if (!jwk) {
+      return { valid: false, reason: 'unknown_key' };
+    }
+    try {
+      const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      signatureValid = crypto.verify(
+        ASYMMETRIC_ALGORITHMS[header.alg],
+        Buffer.from(signingInput),
+        header.alg === 'ES256' ? { key: publicKey, dsaEncoding: 'ieee-p1363' } : publicKey,
+        signatureBuffer
+      );
+    } catch (err) {
+      return { valid: false, reason: 'unknown_key' };
+    }
+  } else {
+    return { valid: false, reason: 'unsupported_algorithm' };
+  }
+
+  if (!signatureValid) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  // Every credential must expire - a token without exp would be valid forever
+  if (typeof claims.exp !== 'number') {
+    return { valid: false, reason: 'malformed' };
+  }
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (claims.exp + clockToleranceSeconds < nowSeconds) {
+    return { valid: false, reason: 'expired' };
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSeconds > nowSeconds) {
+    return { valid: false, reason: 'not_yet_valid' };
+  }
+  if (issuer && claims.iss !== issuer) {
+    return { valid: false, reason: 'invalid_issuer' };
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      return { valid: false, reason: 'invalid_audience' };
+    }
+  }
+
+  return { valid: true, claims, header };
+}
@@ -0,0 +1,145 @@
+import crypto from 'node:crypto';
+
+// 🔐 ENVIRONMENT VARIABLES
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+const requestedLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const logLevel = LOG_LEVELS.includes(requestedLevel) ? requestedLevel : 'info';
+
+export const REQUEST_ID_HEADER = 'X-Request-ID';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// 🧽 REDACTION
+// Applied to every field and message before it is emitted. Secrets are removed outright;
+// therapist ids are replaced with a stable pseudonym so lines can still be correlated.
+// Matched against field names case-insensitively (`token`, `sessionToken`, `receivedToken`, ...)
+const SECRET_KEY_PATTERN = /(token|authorization|api-?key|secret|password|signature)$/i;
+const THERAPIST_KEY_PATTERN = /(therapist_?id|partitionkey)$/i;
+// tokenLogId() output is already a non-reversible reference and may be logged as-is
+const SAFE_TOKEN_REFERENCE = /^(#[0-9a-f]{12}|#unavailable|missing)$/;
+const REDACTED = '[REDACTED]';
+
+export function therapistLogId(therapistId) {
+  if (!therapistId || therapistId === 'missing') {
+    return 'missing';
+  }
+  return `~${crypto.createHash('sha256').update(String(therapistId)).digest('hex').substring(0, 12)}`;
+}
+
+function redactString(value) {
+  return value
+    .replace(/(https?:\/\/[^\s?#"']*)\?[^\s#"']*/gi, `$1?${REDACTED}`)
+    .replace(/\beyJ[\w-]*\.[\w-]*\.[\w-]*/g, REDACTED)
+    .replace(/\b[0-9a-f]{64}\b/gi, REDACTED);
+}
+
+export function redact(value, key = '', depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (SECRET_KEY_PATTERN.test(key)) {
+    return typeof value === 'string' && SAFE_TOKEN_REFERENCE.test(value) ? value : REDACTED;
+  }
+  if (THERAPIST_KEY_PATTERN.test(key)) {
+    return therapistLogId(value);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redactString(value.message);
+  }
+  if (typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, '', depth + 1));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1)])
+  );
+}
+
+// 🪪 REQUEST CORRELATION
+// Reuse the caller's X-Request-ID when it is well-formed, otherwise mint one
+export function getRequestId(request) {
+  const supplied = request.headers.get('x-request-id');
+  return supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+}
+
+// 📜 STRUCTURED LOGGING
+// Returns a context whose log/trace/debug/info/warn/error methods emit one redacted JSON
+// line per call through the original Functions context. `context.log` logs at info.
+// Message strings become `msg`; plain-object arguments are merged into the line as fields.
+export function createLogContext(context, fields = {}) {
+  const logContext = Object.create(context);
+  const threshold = LOG_LEVELS.indexOf(logLevel);
+
+  const emit = level => (...args) => {
+    if (LOG_LEVELS.indexOf(level) < threshold) {
+      return;
+    }
+
+    const messages = [];
+    const data = {};
+    for (const arg of args) {
+      if (arg && typeof arg === 'object' && !Array.isArray(arg) && !(arg instanceof Error)) {
+        Object.assign(data, arg);
+      } else if (arg !== undefined) {
+        messages.push(arg instanceof Error ? arg.message : String(arg));
+      }
+    }
+
+    const base = {
+      timestamp: new Date().toISOString(),
+      level,
+      ...fields,
+      invocationId: context.invocationId,
+      functionName: context.functionName
+    };
+    const entry = { ...base, msg: redact(messages.join(' ')) };
+    for (const [field, value] of Object.entries(redact(data))) {
+      if (!(field in entry)) {
+        entry[field] = value;
+      }
+    }
+
+    const sink = typeof context[level] === 'function' ? level : 'log';
+    context[sink](JSON.stringify(entry));
+  };
+
+  logContext.log = emit('info');
+  for (const level of LOG_LEVELS) {
+    logContext[level] = emit(level);
+  }
+  Object.assign(logContext, fields);
+  return logContext;
+}
+
+// Wrap an HTTP handler so it logs through createLogContext with the request's correlation id,
+// and echo that id back on every response
+export function withRequestLogging(handler) {
+  return async (request, context, ...rest) => {
+    const requestId = getRequestId(request);
+    const logContext = createLogContext(context, { requestId });
+
+    let response;
+    try {
+      response = await handler(request, logContext, ...rest);
+    } catch (err) {
+      logContext.error('❌ ERROR: Unhandled failure:', err);
+      throw err;
+    }
+
+    return {
+      ...response,
+      headers: {
+        ...response.headers,
+        [REQUEST_ID_HEADER]: requestId,
+        'Access-Control-Expose-Headers': REQUEST_ID_HEADER
+      }
+    };
+  };
+}
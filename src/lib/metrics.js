@@ -0,0 +1,132 @@
+// 📈 IN-PROCESS METRICS
+// Counters and latency histograms kept in memory per Functions instance and rendered in the
+// Prometheus text format by GET /api/metrics. Values reset when the instance recycles, so alert
+// on rates (rate()/increase()) rather than absolute totals.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+export const METRICS = {
+  verifications: {
+    name: 'token_hub_verifications_total',
+    type: 'counter',
+    help: 'verify-token requests by HTTP method and outcome (success or error code)'
+  },
+  verificationDuration: {
+    name: 'token_hub_verification_duration_seconds',
+    type: 'histogram',
+    help: 'verify-token handler latency by HTTP method'
+  },
+  storeDuration: {
+    name: 'token_hub_store_operation_duration_seconds',
+    type: 'histogram',
+    help: 'Token store call latency by operation and result'
+  },
+  verificationCache: {
+    name: 'token_hub_verification_cache_lookups_total',
+    type: 'counter',
+    help: 'Verification cache lookups by result (hit or miss)'
+  },
+  cleanupDeletions: {
+    name: 'token_hub_cleanup_deletions_total',
+    type: 'counter',
+    help: 'Token entities removed by verify-token cleanup and the sweeper, by source and reason'
+  }
+};
+
+const series = new Map(); // metric name -> Map(label key -> { labels, value } | { labels, buckets, sum, count })
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(key => `${key}=${labels[key]}`).join(',');
+}
+
+function seriesFor(metric, labels) {
+  if (!series.has(metric.name)) {
+    series.set(metric.name, new Map());
+  }
+  const byLabels = series.get(metric.name);
+  const key = labelKey(labels);
+  if (!byLabels.has(key)) {
+    byLabels.set(key, metric.type === 'histogram'
+      ? { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 });
+  }
+  return byLabels.get(key);
+}
+
+export function incrementCounter(metric, labels = {}, amount = 1) {
+  seriesFor(metric, labels).value += amount;
+}
+
+export function observeHistogram(metric, labels, seconds) {
+  const entry = seriesFor(metric, labels);
+  DURATION_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) {
+      entry.buckets[index] += 1;
+    }
+  });
+  entry.sum += seconds;
+  entry.count += 1;
+}
+
+// Forget every recorded value (automated tests)
+export function resetMetrics() {
+  series.clear();
+}
+
+// 🗄️ Wrap a token store so every promise-returning operation is timed. Methods are looked up on the
+// underlying store at call time, so stores patched after wrapping (local tooling, tests) still work.
+export function instrumentTokenStore(store) {
+  return new Proxy(store, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function' || typeof property !== 'string') {
+        return value;
+      }
+      return (...args) => {
+        const started = performance.now();
+        const outcome = target[property](...args);
+        if (!outcome || typeof outcome.then !== 'function') {
+          return outcome; // async iterables (listings) are consumed lazily - not timed
+        }
+        const observe = result => observeHistogram(METRICS.storeDuration, { operation: property, result }, (performance.now() - started) / 1000);
+        return outcome.then(
+          resolved => { observe('ok'); return resolved; },
+          err => { observe(err.statusCode === 404 ? 'not_found' : 'error'); throw err; }
+        );
+      };
+    }
+  });
+}
+
+// 📝 PROMETHEUS TEXT FORMAT (version 0.0.4)
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length
+    ? `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+}
+
+export function renderPrometheus() {
+  const lines = [];
+  for (const metric of Object.values(METRICS)) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    for (const entry of (series.get(metric.name) || new Map()).values()) {
+      if (metric.type === 'counter') {
+        lines.push(`${metric.name}${formatLabels(entry.labels)} ${entry.value}`);
+        continue;
+      }
+      DURATION_BUCKETS.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,145 @@
+// 🔐 ENVIRONMENT VARIABLES
+const windowSeconds = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60);
+const maxPerIp = Number(process.env.RATE_LIMIT_MAX_PER_IP || 60);
+const maxPerTherapist = Number(process.env.RATE_LIMIT_MAX_PER_THERAPIST || 120);
+const lockoutThreshold = Number(process.env.LOCKOUT_FAILURE_THRESHOLD || 10);
+const lockoutWindowSeconds = Number(process.env.LOCKOUT_WINDOW_SECONDS || 900);
+const lockoutDurationSeconds = Number(process.env.LOCKOUT_DURATION_SECONDS || 900);
+// Proxies in front of the hub that append to X-Forwarded-For (App Service = 1, Front Door + App Service = 2)
+const trustedProxyHops = Math.max(1, Number(process.env.TRUSTED_PROXY_HOPS || 1));
+
+// 🚦 RATE LIMIT STORE INTERFACE
+// Counters live behind this interface so a shared backend can replace the in-memory one:
+//   increment(key, windowMs) -> estimated hits in the sliding window, including this one
+//   setLockout(key, untilMs) -> void
+//   getLockout(key)          -> untilMs | null
+
+// In-memory sliding window counter (weighted current + previous fixed window)
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+  const lockouts = new Map();
+
+  const prune = (now) => {
+    for (const [key, counter] of counters) {
+      if (now - counter.windowStart >= counter.windowMs * 2) {
+        counters.delete(key);
+      }
+    }
+    for (const [key, until] of lockouts) {
+      if (until <= now) {
+        lockouts.delete(key);
+      }
+    }
+  };
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      if (counters.size > 10000) {
+        prune(now);
+      }
+
+      let counter = counters.get(key);
+      if (!counter) {
+        counter = { windowStart: now, windowMs, current: 0, previous: 0 };
+        counters.set(key, counter);
+      }
+
+      const elapsedWindows = Math.floor((now - counter.windowStart) / windowMs);
+      if (elapsedWindows >= 1) {
+        counter.previous = elapsedWindows === 1 ? counter.current : 0;
+        counter.current = 0;
+        counter.windowStart += elapsedWindows * windowMs;
+      }
+
+      counter.current++;
+      const previousWeight = 1 - (now - counter.windowStart) / windowMs;
+      return counter.current + counter.previous * previousWeight;
+    },
+
+    async setLockout(key, untilMs) {
+      lockouts.set(key, untilMs);
+    },
+
+    async getLockout(key) {
+      const until = lockouts.get(key);
+      if (!until || until <= Date.now()) {
+        lockouts.delete(key);
+        return null;
+      }
+      return until;
+    }
+  };
+}
+
+let rateLimitStore = createMemoryRateLimitStore();
+
+// Override the counter backend (shared cache or automated tests)
+export function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+// 🌍 Resolve the caller IP. Each trusted proxy appends the address it saw to X-Forwarded-For, so the
+// client is TRUSTED_PROXY_HOPS entries from the right - anything further left is whatever the
+// client chose to send. Without the header, fall back to App Service's X-Client-IP.
+export function getClientIp(request) {
+  const forwarded = (request.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+  const candidate = forwarded.length
+    ? forwarded[Math.max(0, forwarded.length - trustedProxyHops)]
+    : request.headers.get('x-client-ip') || '';
+
+  // Strip the port App Service appends to IPv4 addresses (1.2.3.4:5678)
+  const ipv4WithPort = candidate.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+  return ipv4WithPort ? ipv4WithPort[1] : candidate || 'unknown';
+}
+
+// ⏱️ Count this request against the per-IP and per-therapist windows and check lockouts.
+// Returns { limited: false } or { limited: true, reason, retryAfterSeconds }.
+export async function checkRateLimit({ ip, therapistId }) {
+  const windowMs = windowSeconds * 1000;
+
+  if (therapistId) {
+    const lockedUntil = await rateLimitStore.getLockout(lockoutKey(ip, therapistId));
+    if (lockedUntil) {
+      return {
+        limited: true,
+        reason: 'client_locked_out',
+        retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000)
+      };
+    }
+  }
+
+  const ipHits = await rateLimitStore.increment(`ip:${ip}`, windowMs);
+  if (ipHits > maxPerIp) {
+    return { limited: true, reason: 'ip_rate_limited', retryAfterSeconds: windowSeconds };
+  }
+
+  if (therapistId) {
+    const therapistHits = await rateLimitStore.increment(`therapist:${therapistId}`, windowMs);
+    if (therapistHits > maxPerTherapist) {
+      return { limited: true, reason: 'therapist_rate_limited', retryAfterSeconds: windowSeconds };
+    }
+  }
+
+  return { limited: false };
+}
+
+// Lockouts are per caller IP within a therapist partition, so guesses from one client never
+// lock the therapist's other clients out of their genuine links
+function lockoutKey(ip, therapistId) {
+  return `lockout:${ip}:${therapistId}`;
+}
+
+// 🔒 Record an invalid_token guess from an IP against a therapist partition; lock that IP out of the
+// partition once the threshold is hit. Returns true when this failure triggered a lockout.
+export async function recordInvalidTokenFailure({ ip, therapistId }) {
+  const failures = await rateLimitStore.increment(`failures:${ip}:${therapistId}`, lockoutWindowSeconds * 1000);
+  if (failures >= lockoutThreshold) {
+    await rateLimitStore.setLockout(lockoutKey(ip, therapistId), Date.now() + lockoutDurationSeconds * 1000);
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,133 @@
+import crypto from 'node:crypto';
+
+// 🔐 ENVIRONMENT VARIABLES
+// SERVICE_SIGNING_KEYS = "2024-06:secretB,2024-01:secretA" - named HMAC keys, all accepted for verification
+const signingKeys = new Map(
+  (process.env.SERVICE_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator > 0 ? [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()] : [entry, ''];
+    })
+    .filter(([, secret]) => secret)
+);
+const activeKeyId = process.env.SERVICE_SIGNING_ACTIVE_KEY || signingKeys.keys().next().value || null;
+const signatureWindowSeconds = Number(process.env.SERVICE_SIGNATURE_WINDOW_SECONDS || 300);
+
+export const SIGNATURE_HEADERS = {
+  keyId: 'x-hub-key-id',
+  timestamp: 'x-hub-timestamp',
+  signature: 'x-hub-signature'
+};
+
+// ✍️ SIGNED HUB-TO-HUB REQUESTS
+// Trusted backends sign each privileged call with a named key from the shared key ring:
+//   X-Hub-Key-Id:    key name
+//   X-Hub-Timestamp: unix seconds
+//   X-Hub-Signature: hex HMAC-SHA256 over "v1\n{timestamp}\n{METHOD}\n{path?query}\n{sha256 hex of the raw body}"
+// Any key in SERVICE_SIGNING_KEYS verifies; SERVICE_SIGNING_ACTIVE_KEY is the one new requests are signed
+// with. Rotate by adding the new key, switching callers to it, then removing the old one.
+// Requests outside the timestamp window, and signatures already seen within it, are refused -
+// a retry must be signed afresh.
+
+// 🔁 REPLAY STORE INTERFACE
+//   remember(key, expiresAtMs) -> true the first time a key is seen before it expires, false on a replay
+export function createMemoryReplayStore() {
+  const seen = new Map();
+
+  return {
+    async remember(key, expiresAtMs) {
+      const now = Date.now();
+      for (const [seenKey, expiry] of seen) {
+        if (expiry <= now) {
+          seen.delete(seenKey);
+        }
+      }
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.set(key, expiresAtMs);
+      return true;
+    }
+  };
+}
+
+let replayStore = createMemoryReplayStore();
+
+// Override the replay backend (shared cache or automated tests)
+export function setReplayStore(store) {
+  replayStore = store;
+}
+
+export function isRequestSigningConfigured() {
+  return signingKeys.size > 0;
+}
+
+export function hasRequestSignature(request) {
+  return request.headers.has(SIGNATURE_HEADERS.signature);
+}
+
+function stringToSign({ timestamp, method, url, body }) {
+  const { pathname, search } = new URL(url, 'https://localhost');
+  const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+  return ['v1', timestamp, method.toUpperCase(), `${pathname}${search}`, bodyHash].join('\n');
+}
+
+function computeSignature(secret, parts) {
+  return crypto.createHmac('sha256', secret).update(stringToSign(parts)).digest('hex');
+}
+
+// Headers for a request signed with the active key (or `keyId`), for callers and tooling
+export function signRequest({ method, url, body = '', keyId = activeKeyId, now = new Date() }) {
+  const secret = signingKeys.get(keyId);
+  if (!secret) {
+    throw new Error(`Unknown request signing key: ${keyId}`);
+  }
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  return {
+    'X-Hub-Key-Id': keyId,
+    'X-Hub-Timestamp': timestamp,
+    'X-Hub-Signature': computeSignature(secret, { timestamp, method, url, body })
+  };
+}
+
+// Verify the signature headers on a request. The body is read from a clone so handlers can still read it.
+// Returns { authenticated: true, caller, keyId } or { authenticated: false, reason }.
+export async function verifyRequestSignature(request, now = new Date()) {
+  if (!isRequestSigningConfigured()) {
+    return { authenticated: false, reason: 'auth_not_configured' };
+  }
+
+  const keyId = request.headers.get(SIGNATURE_HEADERS.keyId);
+  const timestamp = request.headers.get(SIGNATURE_HEADERS.timestamp);
+  const signature = request.headers.get(SIGNATURE_HEADERS.signature);
+  if (!keyId || !timestamp || !signature || !/^\d{1,12}$/.test(timestamp) || !/^[0-9a-f]{64}$/.test(signature)) {
+    return { authenticated: false, reason: 'auth_malformed' };
+  }
+
+  const secret = signingKeys.get(keyId);
+  if (!secret) {
+    return { authenticated: false, reason: 'auth_unknown_key' };
+  }
+
+  if (Math.abs(now.getTime() / 1000 - Number(timestamp)) > signatureWindowSeconds) {
+    return { authenticated: false, reason: 'stale_request' };
+  }
+
+  const body = await (request.clone ? request.clone() : request).text();
+  const expected = Buffer.from(computeSignature(secret, { timestamp, method: request.method, url: request.url, body }));
+  const actual = Buffer.from(signature);
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return { authenticated: false, reason: 'auth_invalid_signature' };
+  }
+
+  // Remember the signature until its timestamp leaves the window on either side
+  const expiresAtMs = (Number(timestamp) + signatureWindowSeconds) * 1000;
+  if (!(await replayStore.remember(`${keyId}:${signature}`, expiresAtMs))) {
+    return { authenticated: false, reason: 'replayed_request' };
+  }
+
+  return { authenticated: true, caller: `signed:${keyId}`, keyId };
+}
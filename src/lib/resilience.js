@@ -0,0 +1,165 @@
+// 🔐 ENVIRONMENT VARIABLES
+const retryAttempts = Math.max(1, Number(process.env.STORAGE_RETRY_ATTEMPTS || 3));
+const retryBaseDelayMs = Number(process.env.STORAGE_RETRY_BASE_DELAY_MS || 100);
+const retryMaxDelayMs = Number(process.env.STORAGE_RETRY_MAX_DELAY_MS || 1000);
+const callTimeoutMs = Number(process.env.STORAGE_CALL_TIMEOUT_MS || 2000);
+const breakerFailureThreshold = Number(process.env.STORAGE_BREAKER_FAILURE_THRESHOLD || 5);
+const breakerCooldownSeconds = Number(process.env.STORAGE_BREAKER_COOLDOWN_SECONDS || 30);
+
+// Retry-After for a failure that did not open the breaker
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+
+// 🛟 RESILIENT STORAGE ACCESS
+// Token store calls on the verification path get a per-call timeout, bounded retries with full
+// jitter for transient failures (network errors, timeouts, 408/429/5xx), and a circuit breaker
+// that fails closed: after STORAGE_BREAKER_FAILURE_THRESHOLD consecutive failed calls every call
+// is refused for STORAGE_BREAKER_COOLDOWN_SECONDS, then a single trial call decides whether it closes.
+// Definite answers (404 handled by the store, 409, 412, other 4xx) and non-storage errors pass
+// straight through.
+// Writes that are not idempotent - ETag-conditional updates, creates and re-keys - are never
+// retried: a timed-out attempt may still land, and a retry would then see its own write as a
+// conflict (a 412 that reads as "someone else used the token"). They fail with service_unavailable
+// after a single attempt instead.
+
+const TRANSIENT_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'REQUEST_SEND_ERROR']);
+
+const breaker = {
+  state: 'closed', // closed | open | half_open
+  consecutiveFailures: 0,
+  openedAt: 0,
+  trialInFlight: false
+};
+
+// Outage-shaped failures: throttling / server errors, or a request that never got an HTTP answer
+function isTransient(err) {
+  if (err.statusCode !== undefined) {
+    return TRANSIENT_STATUS_CODES.has(err.statusCode);
+  }
+  return err.name === 'RestError' || NETWORK_ERROR_CODES.has(err.code);
+}
+
+function unavailableError(message, retryAfterSeconds, cause) {
+  const err = new Error(message);
+  err.storageUnavailable = true;
+  err.retryAfterSeconds = retryAfterSeconds;
+  err.cause = cause;
+  return err;
+}
+
+export function isStorageUnavailable(err) {
+  return err?.storageUnavailable === true;
+}
+
+function cooldownRemainingSeconds(now) {
+  return Math.max(1, Math.ceil((breaker.openedAt + breakerCooldownSeconds * 1000 - now) / 1000));
+}
+
+// Admit a call, or refuse it while the breaker is open (one trial at a time once the cooldown ends)
+function admitCall() {
+  const now = Date.now();
+  if (breaker.state === 'open') {
+    if (now - breaker.openedAt < breakerCooldownSeconds * 1000) {
+      throw unavailableError('Storage circuit breaker is open', cooldownRemainingSeconds(now));
+    }
+    breaker.state = 'half_open';
+  }
+  if (breaker.state === 'half_open') {
+    if (breaker.trialInFlight) {
+      throw unavailableError('Storage circuit breaker is probing', cooldownRemainingSeconds(now));
+    }
+    breaker.trialInFlight = true;
+  }
+}
+
+function recordSuccess() {
+  breaker.state = 'closed';
+  breaker.consecutiveFailures = 0;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure() {
+  breaker.consecutiveFailures++;
+  breaker.trialInFlight = false;
+  if (breaker.state === 'half_open' || breaker.consecutiveFailures >= breakerFailureThreshold) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+export function storageBreakerState() {
+  return { state: breaker.state, consecutiveFailures: breaker.consecutiveFailures };
+}
+
+// Close the breaker and forget failures (automated tests)
+export function resetStorageBreaker() {
+  Object.assign(breaker, { state: 'closed', consecutiveFailures: 0, openedAt: 0, trialInFlight: false });
+}
+
+// Reject with a transient ETIMEDOUT error once STORAGE_CALL_TIMEOUT_MS passes without an answer.
+// Exported for storage calls that must not hang a request but stay outside the breaker (audit writes).
+export function withStorageTimeout(promise, operation) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(Object.assign(
+      new Error(`Storage ${operation} timed out after ${callTimeoutMs}ms`),
+      { code: 'ETIMEDOUT' }
+    )), callTimeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Full jitter: a random delay up to the exponential backoff for this attempt
+function backoffDelayMs(attempt) {
+  return Math.random() * Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** (attempt - 1));
+}
+
+// Run one storage operation under the timeout, retry and breaker policy
+export async function callStorage(operation, fn, { retryable = true } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    admitCall();
+    try {
+      const result = await withStorageTimeout(Promise.resolve().then(fn), operation);
+      recordSuccess();
+      return result;
+    } catch (err) {
+      if (!isTransient(err)) {
+        recordSuccess(); // a definite answer (or a caller bug), not an outage
+        throw err;
+      }
+      recordFailure();
+      if (breaker.state === 'open') {
+        throw unavailableError(`Storage ${operation} failed: ${err.message}`, cooldownRemainingSeconds(Date.now()), err);
+      }
+      if (!retryable || attempt >= retryAttempts) {
+        throw unavailableError(`Storage ${operation} failed after ${attempt} attempts: ${err.message}`, DEFAULT_RETRY_AFTER_SECONDS, err);
+      }
+      await new Promise(resolve => setTimeout(resolve, backoffDelayMs(attempt)));
+    }
+  }
+}
+
+// Single-request token store operations - listings are paged async iterables and stay untouched
+const STORE_OPERATIONS = new Set(['getToken', 'createToken', 'updateToken', 'deleteToken', 'rekeyToken', 'deleteTokens', 'upsertTokens', 'ping']);
+
+function isRetryableOperation(operation, args) {
+  if (operation === 'createToken' || operation === 'rekeyToken') {
+    return false;
+  }
+  return !(operation === 'updateToken' && args[1]?.etag);
+}
+
+// Wrap a token store so each operation runs through callStorage
+export function withStorageResilience(store) {
+  return new Proxy(store, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== 'function' || !STORE_OPERATIONS.has(property)) {
+        return value;
+      }
+      return (...args) => callStorage(property, () => target[property](...args), {
+        retryable: isRetryableOperation(property, args)
+      });
+    }
+  });
+}
@@ -0,0 +1,73 @@
+import { getAllowedOrigin } from './urlpolicy.js';
+import { errorDetails, REDIRECT_REASON_PARAM } from './errorcodes.js';
+
+const ALLOWED_HEADERS = 'Content-Type, Accept, Authorization, X-API-Key, X-Requested-With, X-Request-ID';
+
+// 📦 SHARED RESPONSE BUILDER
+// Produces the hub's standard response shapes for one request:
+//   preflight()                      -> 200 CORS preflight
+//   json(status, body, headers)      -> JSON with CORS and no-store cache headers (`headers` may override)
+//   redirect(location, headers)      -> 302
+//   failure(code, { message, therapistId, headers, ...fields })
+//                                    -> { success: false, message, error: code, ...fields } with the
+//                                       catalogue status, or - when `failureRedirectUrl` is set and the
+//                                       code has a redirect reason - a 302 to that page with ?error=<reason>
+// `onFailure(code)`, if given, is told the exact catalogue code of every failure, since a redirect
+// only carries the coarser public reason.
+export function createResponder(request, { methods, failureRedirectUrl = null, onFailure = null }) {
+  const corsHeaders = {
+    'Access-Control-Allow-Origin': getAllowedOrigin(request),
+    'Access-Control-Allow-Methods': methods,
+    'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+    'Access-Control-Allow-Credentials': 'false',
+    'Cache-Control': 'no-cache, no-store, must-revalidate'
+  };
+
+  const json = (status, jsonBody, headers = {}) => ({
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders, ...headers },
+    jsonBody
+  });
+
+  const redirect = (location, headers = {}) => ({
+    status: 302,
+    headers: { 'Location': location, ...corsHeaders, ...headers }
+  });
+
+  // therapist_id lets the failure page show that therapist's branding
+  const failureLocation = (reason, therapistId) => {
+    const params = new URLSearchParams({ [REDIRECT_REASON_PARAM]: reason });
+    if (therapistId) {
+      params.set('therapist_id', therapistId);
+    }
+    return `${failureRedirectUrl}?${params}`;
+  };
+
+  return {
+    corsHeaders,
+    json,
+    redirect,
+
+    preflight() {
+      return {
+        status: 200,
+        headers: corsHeaders,
+        body: ''
+      };
+    },
+
+    failure(code, { message, therapistId, headers, ...fields } = {}) {
+      const details = errorDetails(code);
+      onFailure?.(code);
+      if (failureRedirectUrl && details.redirect) {
+        return redirect(failureLocation(details.redirect, therapistId));
+      }
+      return json(details.status, {
+        success: false,
+        message: message || details.message,
+        error: code,
+        ...fields
+      }, headers);
+    }
+  };
+}
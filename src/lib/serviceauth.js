@@ -0,0 +1,71 @@
+import crypto from 'node:crypto';
+import { verifyJwt } from './jwt.js';
+import { authenticateTherapist } from './auth.js';
+import { hasRequestSignature, verifyRequestSignature } from './requestsigning.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const serviceApiKeys = process.env.SERVICE_API_KEYS
+  ? process.env.SERVICE_API_KEYS.split(',').map(key => key.trim()).filter(Boolean)
+  : [];
+const serviceAuthSecret = process.env.SERVICE_AUTH_SECRET;
+// Once every caller signs its requests, refuse the static API keys and service JWTs
+const requireSignedRequests = process.env.SERVICE_REQUIRE_SIGNED_REQUESTS === 'true';
+export const SERVICE_AUDIENCE = 'therapy-tools-token-validation-hub';
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// 🤝 TRUSTED BACKEND AUTHENTICATION
+// Hub-to-hub callers (generator hub, dashboard) sign the request with the shared key ring
+// (see requestsigning.js), or - unless SERVICE_REQUIRE_SIGNED_REQUESTS is set - present a shared
+// API key in `X-API-Key` or an HS256 Bearer JWT signed with SERVICE_AUTH_SECRET (aud = this hub).
+// Returns { authenticated: true, caller } or { authenticated: false, reason }.
+export async function authenticateService(request) {
+  if (hasRequestSignature(request)) {
+    return verifyRequestSignature(request);
+  }
+  if (requireSignedRequests) {
+    return { authenticated: false, reason: 'signature_required' };
+  }
+
+  if (serviceApiKeys.length === 0 && !serviceAuthSecret) {
+    return { authenticated: false, reason: 'auth_not_configured' };
+  }
+
+  const apiKey = request.headers.get('x-api-key');
+  if (apiKey) {
+    const matched = serviceApiKeys.some(key => safeEqual(key, apiKey));
+    return matched
+      ? { authenticated: true, caller: 'api_key' }
+      : { authenticated: false, reason: 'invalid_api_key' };
+  }
+
+  const authHeader = request.headers.get('authorization');
+  if (authHeader && authHeader.startsWith('Bearer ') && serviceAuthSecret) {
+    const result = verifyJwt(authHeader.slice('Bearer '.length).trim(), {
+      secret: serviceAuthSecret,
+      audience: SERVICE_AUDIENCE
+    });
+    if (!result.valid) {
+      return { authenticated: false, reason: `auth_${result.reason}` };
+    }
+    return { authenticated: true, caller: result.claims.sub || result.claims.iss || 'service' };
+  }
+
+  return { authenticated: false, reason: 'missing_credentials' };
+}
+
+// 👥 THERAPIST-SCOPED ENDPOINTS (revoke, management, audit)
+// A therapist's Bearer JWT, or a signed hub-to-hub request acting for the therapist the request names.
+// Returns the therapist result ({ authenticated, therapistId, claims }), { authenticated: true, service: true, caller }
+// for a valid signature, or { authenticated: false, reason }.
+export async function authenticateTherapistOrService(request) {
+  if (!hasRequestSignature(request)) {
+    return authenticateTherapist(request);
+  }
+  const result = await verifyRequestSignature(request);
+  return result.authenticated ? { ...result, service: true } : result;
+}
@@ -0,0 +1,69 @@
+import crypto from 'node:crypto';
+import { signJwt, verifyJwt } from './jwt.js';
+import { hashTokenId } from './auditlog.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const sessionSigningSecret = process.env.SESSION_SIGNING_SECRET;
+const sessionTtlSeconds = Number(process.env.SESSION_TTL_SECONDS || 3600);
+export const SESSION_ISSUER = 'therapy-tools-token-validation-hub';
+export const SESSION_AUDIENCE = 'therapy-tools-activity';
+
+// 🎫 SIGNED SESSION CREDENTIALS
+// After a token is verified, activity pages receive a short-lived HS256 JWT instead of
+// the raw bearer token. It can be checked with verify-session without a table lookup.
+
+export function isSessionSigningConfigured() {
+  return !!sessionSigningSecret;
+}
+
+// Issue a session credential that never outlives the access token it was minted from.
+// `tokenId` (the stored RowKey) is only embedded for sliding tokens, so POST /api/heartbeat can find them;
+// the heartbeat re-issues without the raw token by passing the previous credential's `tid`.
+// `activities` lists a bundle token's activities so every page in the bundle can accept the credential.
+export function issueSessionToken({ therapistId, activityUrl, activities, token, tid = hashTokenId(token), tokenId, tokenExpiresAt, now = new Date() }) {
+  const issuedAt = Math.floor(now.getTime() / 1000);
+  const expiresAt = Math.min(issuedAt + sessionTtlSeconds, Math.floor(tokenExpiresAt.getTime() / 1000));
+
+  const sessionToken = signJwt({
+    iss: SESSION_ISSUER,
+    aud: SESSION_AUDIENCE,
+    sub: therapistId,
+    therapistId,
+    activityUrl,
+    ...(activities && { activities }),
+    tid,
+    ...(tokenId && { tokenId }),
+    jti: crypto.randomUUID(),
+    iat: issuedAt,
+    exp: expiresAt
+  }, sessionSigningSecret);
+
+  return { sessionToken, expiresAt: new Date(expiresAt * 1000) };
+}
+
+// Session credential from a Bearer header or a JSON body { sessionToken }; null when the body is not JSON
+export async function readSessionCredential(request) {
+  const authHeader = request.headers.get('authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length).trim();
+  }
+  try {
+    const requestBody = await request.json();
+    return requestBody.sessionToken || '';
+  } catch {
+    return null;
+  }
+}
+
+// Returns { valid: true, claims } or { valid: false, reason }
+export function verifySessionToken(sessionToken) {
+  if (!sessionSigningSecret) {
+    return { valid: false, reason: 'session_not_configured' };
+  }
+  return verifyJwt(sessionToken, {
+    secret: sessionSigningSecret,
+    issuer: SESSION_ISSUER,
+    audience: SESSION_AUDIENCE,
+    clockToleranceSeconds: 0
+  });
+}
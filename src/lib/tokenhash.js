@@ -0,0 +1,62 @@
+import crypto from 'node:crypto';
+
+// 🔐 ENVIRONMENT VARIABLES
+const tokenHashPepper = process.env.TOKEN_HASH_PEPPER;
+// Dual-read migration: fall back to legacy plaintext RowKeys until every token is rewritten
+const legacyLookupEnabled = (process.env.TOKEN_LEGACY_LOOKUP || 'true') === 'true';
+
+// 🧂 HASHED-AT-REST TOKENS
+// Tokens are stored under RowKey = HMAC-SHA256(pepper, token), so storage or log access
+// alone is not enough to impersonate a session link.
+
+export function isTokenHashingConfigured() {
+  return !!tokenHashPepper;
+}
+
+export function hashToken(token) {
+  if (!tokenHashPepper) {
+    throw new Error('TOKEN_HASH_PEPPER is not configured');
+  }
+  return crypto.createHmac('sha256', tokenHashPepper).update(String(token)).digest('hex');
+}
+
+// Short, non-reversible reference for log lines
+export function tokenLogId(token) {
+  if (!token) {
+    return 'missing';
+  }
+  return tokenHashPepper ? `#${hashToken(token).substring(0, 12)}` : '#unavailable';
+}
+
+// Look a token up by its hash, falling back to the legacy plaintext RowKey in migration mode.
+// Returns { entity, legacy } - entity is null when neither key exists.
+export async function findToken(tokenStore, therapistId, token) {
+  const entity = await tokenStore.getToken(therapistId, hashToken(token));
+  if (entity || !legacyLookupEnabled) {
+    return { entity, legacy: false };
+  }
+
+  const legacyEntity = await tokenStore.getToken(therapistId, token);
+  return { entity: legacyEntity, legacy: !!legacyEntity };
+}
+
+// Look a token up by the `tokenId` the hub hands out (its hashed RowKey). A legacy plaintext row
+// has no hashed key yet, so in migration mode the partition is scanned for the row it hashes to.
+export async function findTokenById(tokenStore, therapistId, tokenId) {
+  const entity = await tokenStore.getToken(therapistId, tokenId);
+  if (entity || !legacyLookupEnabled) {
+    return entity;
+  }
+
+  for await (const candidate of tokenStore.listTokensByTherapist(therapistId)) {
+    if (hashToken(candidate.rowKey) === tokenId) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Rewrite a legacy plaintext entity under its hashed RowKey (same partition, one transaction)
+export async function migrateLegacyToken(tokenStore, entity, token) {
+  return tokenStore.rekeyToken(entity, hashToken(token));
+}
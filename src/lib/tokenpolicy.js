@@ -0,0 +1,233 @@
+import crypto from 'node:crypto';
+import { hashToken } from './tokenhash.js';
+import { parseBindingMode } from './binding.js';
+import { resolveActivityScope } from './activityscope.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+export const minTokenTtlMinutes = Number(process.env.TOKEN_MIN_TTL_MINUTES || 5);
+export const maxTokenTtlMinutes = Number(process.env.TOKEN_MAX_TTL_MINUTES || 30 * 24 * 60); // 30 days
+export const defaultTokenTtlMinutes = Number(process.env.TOKEN_DEFAULT_TTL_MINUTES || 60);
+// Tolerated disagreement between the hub's clock and whoever set notBefore / expiresAt
+export const clockSkewSeconds = Number(process.env.TOKEN_CLOCK_SKEW_SECONDS || 30);
+// Extra time a lapsed token keeps working so clients mid-activity are not bounced
+export const expiryGraceSeconds = Number(process.env.TOKEN_EXPIRY_GRACE_SECONDS || 120);
+
+// Bump when the stored entity shape changes; verify-token reads every version it knows
+//   1 - plaintext token as RowKey
+//   2 - RowKey = HMAC-SHA256(TOKEN_HASH_PEPPER, token)
+export const TOKEN_SCHEMA_VERSION = 2;
+
+// The id a token is known by outside the hub - its hashed RowKey. Legacy rows are keyed by the
+// raw token, so their id is hashed here and never echoes the token itself.
+export function publicTokenId(entity) {
+  return Number(entity.schemaVersion) >= TOKEN_SCHEMA_VERSION ? entity.rowKey : hashToken(entity.rowKey);
+}
+
+// 🕒 TOKEN DATES
+// Entities hold expiresAt / notBefore either as typed Edm.DateTime (read back as a Date, or as
+// { type: 'DateTime', value } with type conversion disabled) or as ISO 8601 strings. Table Storage
+// DateTimes are UTC, so an ISO date-time without an offset is read as UTC - never as server-local time.
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,7})?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Date for a stored or submitted timestamp, or null when it does not parse
+export function parseTokenDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (value && typeof value === 'object' && value.type === 'DateTime') {
+    return parseTokenDate(value.value);
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = ISO_DATE_TIME.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const hasTime = value.includes('T');
+  const date = new Date(hasTime && !match[1] ? `${value.trim()}Z` : value.trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Where `now` falls in a token's validity window:
+//   { state: 'invalid' }                                   expiresAt missing/unparseable or notBefore unparseable
+//   { state: 'not_yet_valid', notBefore, expiresAt }       before notBefore (less the skew allowance)
+//   { state: 'expired', notBefore, expiresAt }             past expiresAt plus skew and grace
+//   { state: 'active', notBefore, expiresAt, validUntil, inGracePeriod }
+// validUntil = expiresAt plus skew and grace - the last moment the token is accepted, and so the
+// latest a session minted from it may live.
+export function tokenValidity(entity, now = new Date()) {
+  const expiresAt = parseTokenDate(entity.expiresAt);
+  const hasNotBefore = entity.notBefore !== undefined && entity.notBefore !== null && entity.notBefore !== '';
+  const notBefore = hasNotBefore ? parseTokenDate(entity.notBefore) : null;
+  if (!expiresAt || (hasNotBefore && !notBefore)) {
+    return { state: 'invalid' };
+  }
+
+  const skewMs = clockSkewSeconds * 1000;
+  const graceMs = expiryGraceSeconds * 1000;
+  if (notBefore && now.getTime() < notBefore.getTime() - skewMs) {
+    return { state: 'not_yet_valid', notBefore, expiresAt };
+  }
+  const validUntil = new Date(expiresAt.getTime() + skewMs + graceMs);
+  if (now > validUntil) {
+    return { state: 'expired', notBefore, expiresAt };
+  }
+  return {
+    state: 'active',
+    notBefore,
+    expiresAt,
+    validUntil,
+    inGracePeriod: now > expiresAt
+  };
+}
+
+// 📋 TOKEN LIFECYCLE HELPERS
+
+// Classify a token entity for listings: revoked wins over the validity window, and
+// tokens with unreadable dates are reported as expired (verify-token will refuse them)
+export function tokenStatus(entity, now = new Date()) {
+  if (entity.isRevoked === true) {
+    return 'revoked';
+  }
+  const { state } = tokenValidity(entity, now);
+  if (state === 'not_yet_valid') {
+    return 'scheduled';
+  }
+  return state === 'active' ? 'active' : 'expired';
+}
+
+// Latest expiry a therapist may set on a token from `now`
+export function maxExpiryFrom(now = new Date()) {
+  return new Date(now.getTime() + maxTokenTtlMinutes * 60 * 1000);
+}
+
+// 🔁 SLIDING EXPIRY
+// Sliding tokens carry idleTimeoutMinutes and absoluteExpiresAt: every successful use pushes
+// expiresAt to now + idleTimeoutMinutes, never past absoluteExpiresAt.
+export function isSlidingToken(entity) {
+  return Number.isInteger(entity.idleTimeoutMinutes) && entity.idleTimeoutMinutes > 0 && !!parseTokenDate(entity.absoluteExpiresAt);
+}
+
+export function slidingExpiryFrom(entity, now = new Date()) {
+  const absoluteExpiresAt = parseTokenDate(entity.absoluteExpiresAt);
+  const idleExpiresAt = new Date(now.getTime() + entity.idleTimeoutMinutes * 60 * 1000);
+  return idleExpiresAt < absoluteExpiresAt ? idleExpiresAt : absoluteExpiresAt;
+}
+
+// Persist the slid expiry; returns the updated entity. Merge without an etag: concurrent uses
+// all push the deadline to about the same point, and fields other than expiresAt are untouched.
+export async function extendSlidingExpiry(tokenStore, entity, now = new Date()) {
+  const expiresAt = slidingExpiryFrom(entity, now).toISOString();
+  const current = parseTokenDate(entity.expiresAt);
+  if (current && current.toISOString() >= expiresAt) {
+    return entity;
+  }
+  const { etag } = await tokenStore.updateToken({
+    partitionKey: entity.partitionKey,
+    rowKey: entity.rowKey,
+    expiresAt
+  }, { mode: 'Merge' });
+  return { ...entity, expiresAt, etag };
+}
+
+// 64 hex characters from a CSPRNG
+export function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+// Table Storage refuses PartitionKey / RowKey values with these characters (400 Bad Request)
+export function isValidTableKey(value) {
+  return !!value && typeof value === 'string' && !/[\/\\#?\u0000-\u001f\u007f-\u009f]/.test(value);
+}
+
+// 🏗️ Validate creation input and build a versioned token entity.
+// Returns { entity, token } or { error, message } - invalid tokens are refused here, not at click time.
+export function buildTokenEntity({ therapistId, activityUrl, activityBundle, ttlMinutes, expiresAt, notBefore, idleTimeoutMinutes, maxUses, bindTo, createdBy }, now = new Date()) {
+  if (!isValidTableKey(therapistId)) {
+    return { error: 'invalid_therapist_id', message: 'therapistId is missing or contains characters not allowed in a table key' };
+  }
+
+  const scope = resolveActivityScope({ activityUrl, activityBundle });
+  if (scope.error) {
+    return scope;
+  }
+
+  let startDate = null;
+  if (notBefore !== undefined && notBefore !== null) {
+    startDate = parseTokenDate(notBefore);
+    if (!startDate) {
+      return { error: 'invalid_expiry', message: 'notBefore must be an ISO 8601 date-time' };
+    }
+  }
+
+  // A scheduled link's TTL runs from when it becomes usable
+  let expirationDate;
+  if (expiresAt !== undefined) {
+    expirationDate = parseTokenDate(expiresAt);
+  } else {
+    const minutes = ttlMinutes !== undefined ? Number(ttlMinutes) : defaultTokenTtlMinutes;
+    const start = startDate && startDate > now ? startDate : now;
+    expirationDate = new Date(start.getTime() + minutes * 60 * 1000);
+  }
+
+  if (!expirationDate || isNaN(expirationDate.getTime())) {
+    return { error: 'invalid_expiry', message: 'expiresAt / ttlMinutes does not describe a valid date' };
+  }
+  if (startDate && startDate >= expirationDate) {
+    return { error: 'invalid_expiry', message: 'notBefore must be earlier than expiresAt' };
+  }
+  const lifetimeMinutes = (expirationDate - now) / (60 * 1000);
+  if (lifetimeMinutes < minTokenTtlMinutes || lifetimeMinutes > maxTokenTtlMinutes) {
+    return {
+      error: 'invalid_expiry',
+      message: `Token lifetime must be between ${minTokenTtlMinutes} and ${maxTokenTtlMinutes} minutes`
+    };
+  }
+
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    return { error: 'invalid_max_uses', message: 'maxUses must be a positive integer' };
+  }
+
+  const { bindingMode, error: bindingError } = parseBindingMode(bindTo);
+  if (bindingError) {
+    return { error: 'invalid_binding', message: bindingError };
+  }
+
+  // Sliding mode: the lifetime above becomes the absolute cap and the link starts with one idle window
+  const sliding = idleTimeoutMinutes !== undefined && idleTimeoutMinutes !== null;
+  if (sliding && (!Number.isInteger(idleTimeoutMinutes) || idleTimeoutMinutes < minTokenTtlMinutes || idleTimeoutMinutes > maxTokenTtlMinutes)) {
+    return {
+      error: 'invalid_idle_timeout',
+      message: `idleTimeoutMinutes must be a whole number of minutes between ${minTokenTtlMinutes} and ${maxTokenTtlMinutes}`
+    };
+  }
+  const slidingFields = sliding && {
+    idleTimeoutMinutes,
+    absoluteExpiresAt: expirationDate.toISOString()
+  };
+  if (slidingFields) {
+    const start = startDate && startDate > now ? startDate : now;
+    expirationDate = slidingExpiryFrom(slidingFields, start);
+  }
+
+  const token = generateToken();
+  return {
+    token,
+    entity: {
+      partitionKey: therapistId,
+      rowKey: hashToken(token),
+      schemaVersion: TOKEN_SCHEMA_VERSION,
+      therapistId,
+      ...scope,
+      createdAt: now.toISOString(),
+      ...(startDate && { notBefore: startDate.toISOString() }),
+      expiresAt: expirationDate.toISOString(),
+      ...slidingFields,
+      isRevoked: false,
+      ...(maxUses && { maxUses, useCount: 0 }),
+      ...(bindingMode && { bindingMode }),
+      ...(createdBy && { createdBy })
+    }
+  };
+}
@@ -0,0 +1,314 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { TableClient, odata } from '@azure/data-tables';
+import { instrumentTokenStore } from './metrics.js';
+
+export const tableName = 'accesstokens';
+export const archiveTableName = 'accesstokensarchive';
+const MAX_BATCH_SIZE = 100; // Azure Tables transaction limit
+// Partition read by health probes; no token is ever created under it
+export const HEALTH_PARTITION = '__health__';
+
+// 🗄️ TOKEN STORE INTERFACE
+// Every store exposes the same async operations over token entities
+// ({ partitionKey: therapistId, rowKey: token, etag, ...fields }):
+//   getToken(therapistId, token)         -> entity | null
+//   createToken(entity)                  -> entity
+//   updateToken(entity, { mode, etag })  -> entity   (412 error on etag mismatch)
+//   deleteToken(therapistId, token)      -> void     (missing entities are ignored)
+//   rekeyToken(entity, newRowKey)        -> entity   (atomic create-new + delete-old)
+//   listTokensByTherapist(therapistId, { afterRowKey })
+//                                        -> async iterable of entities ordered by RowKey
+//   listAllTokens()                      -> async iterable of entities
+//   deleteTokens(therapistId, tokens)    -> void     (batched per partition)
+//   upsertTokens(therapistId, entities)  -> void     (batched per partition)
+//   ensureTable()                        -> void
+//   ping()                               -> void     (throws when the table cannot be reached)
+
+// Strip service metadata before an entity is written elsewhere
+export function entityFields(entity) {
+  const { etag, timestamp, 'odata.metadata': metadata, ...fields } = entity;
+  return fields;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+function storeError(message, statusCode) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// ☁️ AZURE TABLE STORAGE BACKEND
+export function createAzureTableTokenStore(connectionString, table = tableName) {
+  if (!connectionString) {
+    throw new Error('AzureWebJobsStorage connection string is not configured');
+  }
+  const client = TableClient.fromConnectionString(connectionString, table);
+
+  return {
+    type: 'azure',
+    client,
+
+    async getToken(therapistId, token) {
+      try {
+        return await client.getEntity(therapistId, token);
+      } catch (err) {
+        if (err.statusCode === 404) {
+          return null;
+        }
+        throw err;
+      }
+    },
+
+    async createToken(entity) {
+      const response = await client.createEntity(entity);
+      return { ...entity, etag: response.etag };
+    },
+
+    async updateToken(entity, { mode = 'Replace', etag } = {}) {
+      const response = await client.updateEntity(entity, mode, etag ? { etag } : undefined);
+      return { ...entity, etag: response.etag };
+    },
+
+    async deleteToken(therapistId, token) {
+      try {
+        await client.deleteEntity(therapistId, token);
+      } catch (err) {
+        if (err.statusCode !== 404) {
+          throw err;
+        }
+      }
+    },
+
+    async rekeyToken(entity, newRowKey) {
+      const rekeyed = { ...entityFields(entity), rowKey: newRowKey };
+      await client.submitTransaction([
+        ['create', rekeyed],
+        ['delete', { partitionKey: entity.partitionKey, rowKey: entity.rowKey }]
+      ]);
+      return client.getEntity(entity.partitionKey, newRowKey);
+    },
+
+    listTokensByTherapist(therapistId, { afterRowKey } = {}) {
+      const filter = afterRowKey
+        ? odata`PartitionKey eq ${therapistId} and RowKey gt ${afterRowKey}`
+        : odata`PartitionKey eq ${therapistId}`;
+      return client.listEntities({ queryOptions: { filter } });
+    },
+
+    listAllTokens() {
+      return client.listEntities();
+    },
+
+    async deleteTokens(therapistId, tokens) {
+      for (const batch of chunk(tokens, MAX_BATCH_SIZE)) {
+        await client.submitTransaction(
+          batch.map(token => ['delete', { partitionKey: therapistId, rowKey: token }])
+        );
+      }
+    },
+
+    async upsertTokens(therapistId, entities) {
+      for (const batch of chunk(entities, MAX_BATCH_SIZE)) {
+        await client.submitTransaction(
+          batch.map(entity => ['upsert', { ...entityFields(entity), partitionKey: therapistId }, 'Replace'])
+        );
+      }
+    },
+
+    async ensureTable() {
+      await client.createTable();
+    },
+
+    // Cheapest authenticated call: a one-row page from a partition no token uses
+    async ping() {
+      await client.listEntities({
+        queryOptions: { filter: odata`PartitionKey eq ${HEALTH_PARTITION}`, select: ['RowKey'] }
+      }).byPage({ maxPageSize: 1 }).next();
+    }
+  };
+}
+
+// 🧪 IN-MEMORY BACKEND (optionally persisted to a local JSON file)
+export function createMemoryTokenStore({ filePath, entities = [] } = {}) {
+  const records = new Map();
+  const keyFor = (partitionKey, rowKey) => `${partitionKey}\u0000${rowKey}`;
+  const newEtag = () => `W/"${crypto.randomUUID()}"`;
+  // Table Storage returns entities ordered by PartitionKey then RowKey
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  const sorted = () => [...records.values()].sort((a, b) =>
+    compare(a.partitionKey, b.partitionKey) || compare(a.rowKey, b.rowKey)
+  );
+
+  const load = (list) => {
+    for (const entity of list) {
+      records.set(keyFor(entity.partitionKey, entity.rowKey), {
+        ...entity,
+        etag: entity.etag || newEtag(),
+        timestamp: entity.timestamp || new Date().toISOString()
+      });
+    }
+  };
+
+  const persist = () => {
+    if (filePath) {
+      fs.writeFileSync(filePath, JSON.stringify([...records.values()], null, 2));
+    }
+  };
+
+  if (filePath && fs.existsSync(filePath)) {
+    load(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+  load(entities);
+
+  return {
+    type: filePath ? 'file' : 'memory',
+
+    async getToken(therapistId, token) {
+      const entity = records.get(keyFor(therapistId, token));
+      return entity ? { ...entity } : null;
+    },
+
+    async createToken(entity) {
+      const key = keyFor(entity.partitionKey, entity.rowKey);
+      if (records.has(key)) {
+        throw storeError('The specified entity already exists', 409);
+      }
+      const stored = { ...entity, etag: newEtag(), timestamp: new Date().toISOString() };
+      records.set(key, stored);
+      persist();
+      return { ...stored };
+    },
+
+    async updateToken(entity, { mode = 'Replace', etag } = {}) {
+      const key = keyFor(entity.partitionKey, entity.rowKey);
+      const existing = records.get(key);
+      if (!existing) {
+        throw storeError('The specified resource does not exist', 404);
+      }
+      if (etag && etag !== '*' && etag !== existing.etag) {
+        throw storeError('The update condition specified in the request was not satisfied', 412);
+      }
+      const base = mode === 'Merge' ? existing : { partitionKey: entity.partitionKey, rowKey: entity.rowKey };
+      const stored = { ...base, ...entity, etag: newEtag(), timestamp: new Date().toISOString() };
+      records.set(key, stored);
+      persist();
+      return { ...stored };
+    },
+
+    async deleteToken(therapistId, token) {
+      if (records.delete(keyFor(therapistId, token))) {
+        persist();
+      }
+    },
+
+    async rekeyToken(entity, newRowKey) {
+      const oldKey = keyFor(entity.partitionKey, entity.rowKey);
+      const newKey = keyFor(entity.partitionKey, newRowKey);
+      if (!records.has(oldKey)) {
+        throw storeError('The specified resource does not exist', 404);
+      }
+      if (records.has(newKey)) {
+        throw storeError('The specified entity already exists', 409);
+      }
+      const stored = { ...entityFields(entity), rowKey: newRowKey, etag: newEtag(), timestamp: new Date().toISOString() };
+      records.delete(oldKey);
+      records.set(newKey, stored);
+      persist();
+      return { ...stored };
+    },
+
+    async *listTokensByTherapist(therapistId, { afterRowKey } = {}) {
+      for (const entity of sorted()) {
+        if (entity.partitionKey === therapistId && (!afterRowKey || entity.rowKey > afterRowKey)) {
+          yield { ...entity };
+        }
+      }
+    },
+
+    async *listAllTokens() {
+      for (const entity of sorted()) {
+        yield { ...entity };
+      }
+    },
+
+    async deleteTokens(therapistId, tokens) {
+      for (const token of tokens) {
+        records.delete(keyFor(therapistId, token));
+      }
+      persist();
+    },
+
+    async upsertTokens(therapistId, entities) {
+      for (const entity of entities) {
+        records.set(keyFor(therapistId, entity.rowKey), {
+          ...entityFields(entity),
+          partitionKey: therapistId,
+          etag: newEtag(),
+          timestamp: new Date().toISOString()
+        });
+      }
+      persist();
+    },
+
+    async ensureTable() {},
+
+    async ping() {}
+  };
+}
+
+// ⚙️ STORE SELECTION (TOKEN_STORE = azure | memory | file)
+// Environment is read when the store is created so tests can reconfigure it.
+let activeStore = null;
+let activeArchiveStore = null;
+
+export function createTokenStore(type = (process.env.TOKEN_STORE || 'azure').toLowerCase(), table = tableName) {
+  const defaultFile = table === tableName ? '.tokenstore.json' : `.${table}.json`;
+  switch (type) {
+    case 'memory':
+      return createMemoryTokenStore();
+    case 'file':
+      return createMemoryTokenStore({
+        filePath: table === tableName && process.env.TOKEN_STORE_FILE
+          ? process.env.TOKEN_STORE_FILE
+          : path.join(process.cwd(), defaultFile)
+      });
+    case 'azure':
+      return createAzureTableTokenStore(process.env.AzureWebJobsStorage, table);
+    default:
+      throw new Error(`Unknown TOKEN_STORE type: ${type}`);
+  }
+}
+
+// The active token store is timed into the storage latency histogram (see lib/metrics.js)
+export function getTokenStore() {
+  if (!activeStore) {
+    activeStore = instrumentTokenStore(createTokenStore());
+  }
+  return activeStore;
+}
+
+// Store for swept tokens kept for audit (TOKEN_SWEEP_MODE=archive)
+export function getTokenArchiveStore() {
+  if (!activeArchiveStore) {
+    activeArchiveStore = createTokenStore(undefined, archiveTableName);
+  }
+  return activeArchiveStore;
+}
+
+// Override the active stores (local tooling and automated tests)
+export function setTokenStore(store) {
+  activeStore = store ? instrumentTokenStore(store) : store;
+}
+
+export function setTokenArchiveStore(store) {
+  activeArchiveStore = store;
+}
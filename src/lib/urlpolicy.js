@@ -0,0 +1,105 @@
+// 🔐 ENVIRONMENT VARIABLES
+const allowedOriginEntries = process.env.ALLOWED_ORIGIN
+  ? process.env.ALLOWED_ORIGIN.split(',').map(origin => origin.trim()).filter(Boolean)
+  : ['https://onlinetherapytools.com']; // fallback
+const redirectAllowlistEntries = process.env.REDIRECT_ALLOWLIST
+  ? process.env.REDIRECT_ALLOWLIST.split(',').map(entry => entry.trim()).filter(Boolean)
+  : allowedOriginEntries;
+const allowLocalhost = process.env.ALLOW_LOCALHOST === 'true'; // development only
+export const redirectFallbackUrl = process.env.REDIRECT_FALLBACK_URL || 'https://onlinetherapytools.com/dashboard';
+// Where GET verification failures go; defaults to the hub's own page (relative to the verify-token URL)
+export const failedTokenUrl = process.env.FAILED_TOKEN_URL || '/api/access-denied';
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// 🛡️ URL POLICY
+// Shared by CORS and redirect validation. Entries are parsed once and compared on
+// scheme, hostname and port exactly; an entry's path (if any) is a required prefix.
+function parseEntry(entry) {
+  try {
+    const url = new URL(entry);
+    const pathPrefix = url.pathname === '/' ? '/' : url.pathname.replace(/\/?$/, '/');
+    return { protocol: url.protocol, hostname: url.hostname, port: url.port, origin: url.origin, pathPrefix };
+  } catch (err) {
+    return null;
+  }
+}
+
+const allowedOriginRules = allowedOriginEntries.map(parseEntry).filter(Boolean);
+const redirectRules = redirectAllowlistEntries.map(parseEntry).filter(Boolean);
+
+export const allowedOrigins = [...new Set(allowedOriginRules.map(rule => rule.origin))];
+
+// Configured values that do not parse - ignored by the policy, reported by GET /api/ready
+export function urlPolicyConfigErrors() {
+  const errors = [
+    ...allowedOriginEntries.filter(entry => !parseEntry(entry)).map(entry => `ALLOWED_ORIGIN entry is not a URL: ${entry}`),
+    ...redirectAllowlistEntries.filter(entry => !parseEntry(entry)).map(entry => `REDIRECT_ALLOWLIST entry is not a URL: ${entry}`)
+  ];
+  if (!parseUrl(redirectFallbackUrl)) {
+    errors.push('REDIRECT_FALLBACK_URL is not a URL');
+  }
+  if (!failedTokenUrl.startsWith('/') && !parseUrl(failedTokenUrl)) {
+    errors.push('FAILED_TOKEN_URL is neither a URL nor an absolute path');
+  }
+  return errors;
+}
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function isLocalDevUrl(url) {
+  return allowLocalhost &&
+    (url.protocol === 'http:' || url.protocol === 'https:') &&
+    LOCAL_HOSTNAMES.includes(url.hostname);
+}
+
+function matchesHost(rule, url) {
+  return rule.protocol === url.protocol &&
+    rule.hostname === url.hostname &&
+    rule.port === url.port;
+}
+
+function matchesPath(rule, url) {
+  // '/activities/' permits '/activities' and anything below it, but not '/activities-old'
+  return rule.pathPrefix === '/' ||
+    url.pathname.startsWith(rule.pathPrefix) ||
+    `${url.pathname}/` === rule.pathPrefix;
+}
+
+// Is this Origin header one we serve CORS responses to?
+export function isAllowedOrigin(origin) {
+  const url = origin ? parseUrl(origin) : null;
+  if (!url || url.origin !== origin) {
+    return false;
+  }
+  return isLocalDevUrl(url) || allowedOriginRules.some(rule => matchesHost(rule, url));
+}
+
+// Is this absolute URL a permitted redirect target?
+export function isAllowedRedirect(value) {
+  const url = parseUrl(value);
+  if (!url || url.username || url.password) {
+    return false;
+  }
+  return isLocalDevUrl(url) ||
+    redirectRules.some(rule => matchesHost(rule, url) && matchesPath(rule, url));
+}
+
+// 🌐 STANDARDIZED CORS FUNCTION
+export function getAllowedOrigin(request) {
+  const requestOrigin = request.headers.get('origin');
+
+  // Echo the request origin only when policy allows it
+  if (isAllowedOrigin(requestOrigin)) {
+    return requestOrigin;
+  }
+
+  // Default to first allowed origin
+  return allowedOrigins[0];
+}
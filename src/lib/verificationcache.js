@@ -0,0 +1,91 @@
+import { hashToken } from './tokenhash.js';
+import { isSlidingToken } from './tokenpolicy.js';
+import { METRICS, incrementCounter } from './metrics.js';
+
+// 🔐 ENVIRONMENT VARIABLES
+const maxEntries = Number(process.env.VERIFICATION_CACHE_MAX_ENTRIES || 0); // 0 = cache disabled
+const maxStalenessSeconds = Number(process.env.VERIFICATION_CACHE_MAX_STALENESS_SECONDS || 30);
+
+// ⚡ VERIFICATION CACHE
+// Optional per-instance LRU of token entities that recently verified, so repeated clicks and
+// activity-page re-validations skip the table read. Keyed by therapistId + stored RowKey (the token
+// hash - raw tokens are never held). An entry lives for VERIFICATION_CACHE_MAX_STALENESS_SECONDS
+// at most, and never past the token's own validUntil. revoke-token and the management routes evict
+// entries in this instance; other instances may serve a revoked token for up to the staleness bound.
+// Only read-only verifications are cached: tokens with usage limits, sliding expiry or a pending
+// first-use binding write to storage on every use and always read it fresh.
+
+const entries = new Map(); // Map keeps insertion order - the first key is the least recently used
+
+function cacheKey(therapistId, rowKey) {
+  return `${therapistId}\u0000${rowKey}`;
+}
+
+export function isVerificationCacheEnabled() {
+  return maxEntries > 0 && maxStalenessSeconds > 0;
+}
+
+// Whether verifying this entity changes nothing in storage, so a cached copy answers the same way
+export function isCacheableEntity(entity) {
+  const usageLimited = Number.isInteger(entity.maxUses) && entity.maxUses > 0;
+  const pendingBinding = !!entity.bindingMode && !entity.boundFingerprint;
+  return !usageLimited && !isSlidingToken(entity) && !pendingBinding;
+}
+
+// Cached entity for a raw token, or null on a miss
+export function getCachedToken(therapistId, token, now = new Date()) {
+  if (!isVerificationCacheEnabled()) {
+    return null;
+  }
+  const key = cacheKey(therapistId, hashToken(token));
+  const entry = entries.get(key);
+  if (!entry || entry.expiresAtMs <= now.getTime()) {
+    entries.delete(key);
+    incrementCounter(METRICS.verificationCache, { result: 'miss' });
+    return null;
+  }
+
+  // Refresh recency
+  entries.delete(key);
+  entries.set(key, entry);
+  incrementCounter(METRICS.verificationCache, { result: 'hit' });
+  return entry.entity;
+}
+
+// Remember an entity that just verified, until the staleness bound or validUntil - whichever is first
+export function cacheVerifiedToken(entity, validUntil, now = new Date()) {
+  if (!isVerificationCacheEnabled() || !isCacheableEntity(entity)) {
+    return;
+  }
+  const expiresAtMs = Math.min(now.getTime() + maxStalenessSeconds * 1000, validUntil.getTime());
+  if (expiresAtMs <= now.getTime()) {
+    return;
+  }
+
+  const key = cacheKey(entity.partitionKey, entity.rowKey);
+  entries.delete(key);
+  entries.set(key, { entity, expiresAtMs });
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Evict one token (by stored RowKey) after it changed in storage
+export function invalidateCachedToken(therapistId, rowKey) {
+  entries.delete(cacheKey(therapistId, rowKey));
+}
+
+// Evict every token of a therapist (bulk revocation)
+export function invalidateCachedTherapist(therapistId) {
+  const prefix = cacheKey(therapistId, '');
+  for (const key of entries.keys()) {
+    if (key.startsWith(prefix)) {
+      entries.delete(key);
+    }
+  }
+}
+
+// Forget every entry (automated tests)
+export function clearVerificationCache() {
+  entries.clear();
+}
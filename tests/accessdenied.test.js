@@ -0,0 +1,97 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadFunctions, fakeRequest, fakeContext } from './harness.js';
+
+const brandingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'branding-'));
+const brandingPath = path.join(brandingDir, 'branding.json');
+fs.writeFileSync(brandingPath, JSON.stringify({
+  'therapist-1': {
+    displayName: 'Dr. Sam <Lee>',
+    practiceName: 'Calm Minds Practice',
+    logoUrl: 'https://cdn.example.com/logo.png',
+    accentColor: '#2a9d8f',
+    contactEmail: 'sam@calmminds.example'
+  },
+  'therapist-2': {
+    displayName: 'Alex',
+    logoUrl: 'javascript:alert(1)',
+    accentColor: 'red; background: url(x)',
+    contactUrl: 'https://calmminds.example/contact'
+  }
+}));
+
+const functions = await loadFunctions({
+  THERAPIST_BRANDING_PATH: brandingPath,
+  ACCESS_DENIED_CONTACT_URL: 'https://onlinetherapytools.com/contact'
+});
+const accessDenied = functions['access-denied'].handler;
+
+after(() => fs.rmSync(brandingDir, { recursive: true, force: true }));
+
+function page(query) {
+  return accessDenied(fakeRequest({ url: `https://hub.test/api/access-denied?${new URLSearchParams(query)}` }), fakeContext());
+}
+
+describe('access-denied', () => {
+  it('renders reason-specific copy for each verify-token error code', async () => {
+    const expired = await page({ error: 'token_expired' });
+    assert.equal(expired.status, 200);
+    assert.equal(expired.headers['Content-Type'], 'text/html; charset=utf-8');
+    assert.match(expired.body, /<h1>Access Link Expired<\/h1>/);
+
+    const revoked = await page({ error: 'token_revoked' });
+    assert.match(revoked.body, /<h1>Access Link Withdrawn<\/h1>/);
+
+    const missing = await page({ error: 'missing_therapist_id' });
+    assert.match(missing.body, /<h1>Incomplete Access Link<\/h1>/);
+
+    const failed = await page({ error: 'verification_failed' });
+    assert.match(failed.body, /try again in a few minutes/);
+  });
+
+  it('falls back to a generic page for unknown or missing codes', async () => {
+    const unknown = await page({ error: '<script>' });
+    assert.match(unknown.body, /<h1>Access Denied<\/h1>/);
+    assert.ok(!unknown.body.includes('<script>'));
+
+    const none = await page({});
+    assert.match(none.body, /<h1>Access Denied<\/h1>/);
+  });
+
+  it('offers the hub contact page when the therapist has no branding', async () => {
+    const res = await page({ error: 'token_expired', therapist_id: 'therapist-9' });
+    assert.match(res.body, /href="https:\/\/onlinetherapytools.com\/contact" class="btn">Request a new link</);
+    assert.ok(!res.body.includes('class="branding"'));
+  });
+
+  it('shows escaped therapist branding and a mailto action', async () => {
+    const res = await page({ error: 'token_expired', therapist_id: 'therapist-1' });
+    assert.match(res.body, /Dr\. Sam &lt;Lee&gt;/);
+    assert.match(res.body, /Calm Minds Practice/);
+    assert.match(res.body, /<img src="https:\/\/cdn.example.com\/logo.png"/);
+    assert.match(res.body, /background: #2a9d8f;/);
+    assert.match(res.body, /href="mailto:sam@calmminds.example\?subject=Request%20a%20new%20access%20link/);
+  });
+
+  it('drops unsafe branding values', async () => {
+    const res = await page({ error: 'token_revoked', therapist_id: 'therapist-2' });
+    assert.ok(!res.body.includes('javascript:'));
+    assert.ok(!res.body.includes('url(x)'));
+    assert.match(res.body, /href="https:\/\/calmminds.example\/contact" class="btn">Contact Alex for a new link</);
+  });
+
+  it('does not offer a new link when waiting is the fix', async () => {
+    const res = await page({ error: 'rate_limited', therapist_id: 'therapist-1' });
+    assert.match(res.body, /<h1>Too Many Attempts<\/h1>/);
+    assert.ok(!res.body.includes('mailto:'));
+  });
+
+  it('locks the page down with a restrictive CSP', async () => {
+    const res = await page({ error: 'token_expired' });
+    assert.match(res.headers['Content-Security-Policy'], /default-src 'none'/);
+    assert.equal(res.headers['Cache-Control'], 'no-cache, no-store, must-revalidate');
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const bundlesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundles-'));
+const bundlesPath = path.join(bundlesDir, 'bundles.json');
+fs.writeFileSync(bundlesPath, JSON.stringify({
+  'anxiety-starter': {
+    title: 'Anxiety starter pack',
+    activities: ['/activities/breathing.html', '/activities/feelings.html', 'https://app.onlinetherapytools.com/activities/journal.html']
+  },
+  'off-site': { activities: ['https://evil.example/activity.html'] }
+}));
+
+const functions = await loadFunctions({ ACTIVITY_BUNDLES_PATH: bundlesPath });
+const createToken = functions['create-token'].handler;
+const verifyToken = functions['verify-token'].handler;
+const verifySession = functions['verify-session'].handler;
+
+const THERAPIST = 'therapist-1';
+const FAILED = TEST_ENV.FAILED_TOKEN_URL;
+const BREATHING = 'https://onlinetherapytools.com/activities/breathing.html';
+const FEELINGS = 'https://onlinetherapytools.com/activities/feelings.html';
+const JOURNAL = 'https://app.onlinetherapytools.com/activities/journal.html';
+
+let store;
+
+after(() => fs.rmSync(bundlesDir, { recursive: true, force: true }));
+
+function create(body) {
+  return createToken(fakeRequest({
+    method: 'POST',
+    url: 'https://hub.test/api/create-token',
+    headers: { authorization: therapistBearer(THERAPIST) },
+    body
+  }), fakeContext());
+}
+
+function verifyGet(token, redirect) {
+  const url = new URL('https://hub.test/api/verify-token');
+  url.searchParams.set('token', token);
+  url.searchParams.set('therapist_id', THERAPIST);
+  if (redirect) {
+    url.searchParams.set('redirect', redirect);
+  }
+  return verifyToken(fakeRequest({ url: url.toString() }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore();
+  setTokenStore(store);
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('activity bundles', () => {
+  it('copies the resolved bundle onto the token at creation', async () => {
+    const res = await create({ activityBundle: 'anxiety-starter' });
+    assert.equal(res.status, 201);
+    assert.equal(res.jsonBody.activityUrl, BREATHING);
+    assert.equal(res.jsonBody.activityBundle, 'anxiety-starter');
+    assert.deepEqual(res.jsonBody.permittedActivities, [BREATHING, FEELINGS, JOURNAL]);
+
+    const stored = await store.getToken(THERAPIST, res.jsonBody.tokenId);
+    assert.deepEqual(JSON.parse(stored.activityScope), [BREATHING, FEELINGS, JOURNAL]);
+  });
+
+  it('opens any activity in the bundle and nothing else', async () => {
+    const { token } = (await create({ activityBundle: 'anxiety-starter' })).jsonBody;
+
+    const journal = await verifyGet(token, `${JOURNAL}#today`);
+    assert.equal(new URL(journal.headers.Location).origin + new URL(journal.headers.Location).pathname, JOURNAL);
+
+    const landing = await verifyGet(token);
+    assert.ok(landing.headers.Location.startsWith(`${BREATHING}?session_token=`));
+
+    const outside = await verifyGet(token, 'https://onlinetherapytools.com/activities/bingo/bingo.html');
+    assert.equal(outside.headers.Location, `${FAILED}?error=activity_not_permitted&therapist_id=${THERAPIST}`);
+  });
+
+  it('lists the permitted activities in the JSON and session responses', async () => {
+    const { token } = (await create({ activityBundle: 'anxiety-starter', activityUrl: FEELINGS })).jsonBody;
+    const res = await verifyToken(fakeRequest({ method: 'POST', body: { token, therapistId: THERAPIST } }), fakeContext());
+    assert.equal(res.jsonBody.activityUrl, FEELINGS);
+    assert.equal(res.jsonBody.activityBundle, 'anxiety-starter');
+    assert.deepEqual(res.jsonBody.permittedActivities, [BREATHING, FEELINGS, JOURNAL]);
+
+    const session = await verifySession(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/verify-session',
+      body: { sessionToken: res.jsonBody.sessionToken }
+    }), fakeContext());
+    assert.deepEqual(session.jsonBody.permittedActivities, [BREATHING, FEELINGS, JOURNAL]);
+  });
+
+  it('rejects unknown bundles, off-site bundles and landing pages outside the bundle', async () => {
+    assert.equal((await create({ activityBundle: 'no-such-bundle' })).jsonBody.error, 'invalid_activity_bundle');
+    assert.equal((await create({ activityBundle: 'off-site' })).jsonBody.error, 'invalid_activity_bundle');
+    assert.equal((await create({ activityBundle: 'toString' })).jsonBody.error, 'invalid_activity_bundle');
+    assert.equal((await create({
+      activityBundle: 'anxiety-starter',
+      activityUrl: 'https://onlinetherapytools.com/activities/bingo/bingo.html'
+    })).jsonBody.error, 'invalid_activity_url');
+  });
+
+  it('scopes single-activity tokens to their activityUrl', async () => {
+    const res = await create({ activityUrl: FEELINGS });
+    assert.deepEqual(res.jsonBody.permittedActivities, [FEELINGS]);
+    assert.equal(res.jsonBody.activityBundle, null);
+    assert.equal((await store.getToken(THERAPIST, res.jsonBody.tokenId)).activityScope, undefined);
+  });
+});
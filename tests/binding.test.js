@@ -0,0 +1,160 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity, storedKey, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const functions = await loadFunctions();
+const verifyToken = functions['verify-token'].handler;
+const resetBinding = functions['reset-token-binding'].handler;
+const createToken = functions['create-token'].handler;
+// Imported after loadFunctions so fingerprints use the test pepper
+const { parseBindingMode, clientFingerprint } = await import('../src/lib/binding.js');
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+const FAILED = TEST_ENV.FAILED_TOKEN_URL;
+const LAPTOP = { 'x-forwarded-for': '203.0.113.10', 'user-agent': 'Laptop Browser' };
+const PHONE = { 'x-forwarded-for': '198.51.100.7', 'user-agent': 'Phone Browser' };
+
+let store;
+
+function verifyPost(headers) {
+  return verifyToken(fakeRequest({ method: 'POST', headers, body: { token: TOKEN, therapistId: THERAPIST } }), fakeContext());
+}
+
+function verifyGet(headers) {
+  return verifyToken(fakeRequest({
+    url: `https://hub.test/api/verify-token?token=${TOKEN}&therapist_id=${THERAPIST}`,
+    headers
+  }), fakeContext());
+}
+
+function bindToken(bindingMode, overrides = {}) {
+  return store.updateToken(tokenEntity({ bindingMode, ...overrides }));
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({ entities: [tokenEntity()] });
+  setTokenStore(store);
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('client binding', () => {
+  it('binds to the first client and refuses others with token_bound_elsewhere', async () => {
+    await bindToken('ip,userAgent');
+    assert.equal((await verifyPost(LAPTOP)).status, 200);
+
+    const stored = await store.getToken(THERAPIST, storedKey(TOKEN));
+    assert.match(stored.boundFingerprint, /^[0-9a-f]{64}$/);
+    assert.ok(stored.boundAt);
+    assert.ok(!JSON.stringify(stored).includes('203.0.113'));
+
+    const other = await verifyPost(PHONE);
+    assert.equal(other.status, 403);
+    assert.equal(other.jsonBody.error, 'token_bound_elsewhere');
+
+    const redirect = await verifyGet(PHONE);
+    assert.equal(redirect.headers.Location, `${FAILED}?error=token_bound_elsewhere&therapist_id=${THERAPIST}`);
+
+    assert.equal((await verifyPost(LAPTOP)).status, 200);
+  });
+
+  it('matches IP bindings on the network prefix', async () => {
+    await bindToken('ip');
+    assert.equal((await verifyPost({ 'x-forwarded-for': '203.0.113.10:51234' })).status, 200);
+    assert.equal((await verifyPost({ 'x-forwarded-for': '203.0.113.200' })).status, 200);
+    assert.equal((await verifyPost({ 'x-forwarded-for': '203.0.114.10' })).status, 403);
+  });
+
+  it('sets a binding cookie on first use and requires it afterwards', async () => {
+    await bindToken('cookie');
+    const first = await verifyGet(LAPTOP);
+    assert.equal(first.status, 302);
+    const setCookie = first.headers['Set-Cookie'];
+    assert.match(setCookie, /^__Host-tvh_binding=[0-9a-f]{64}; Path=\/; .*Secure; HttpOnly; SameSite=Lax$/);
+    const cookie = setCookie.split(';')[0];
+
+    const again = await verifyGet({ ...PHONE, cookie: `other=1; ${cookie}` });
+    assert.ok(new URL(again.headers.Location).searchParams.get('session_token'));
+    assert.equal(again.headers['Set-Cookie'], undefined);
+
+    const forwarded = await verifyGet(LAPTOP);
+    assert.equal(forwarded.headers.Location, `${FAILED}?error=token_bound_elsewhere&therapist_id=${THERAPIST}`);
+  });
+
+  it('does not spend uses on refused clients', async () => {
+    await bindToken('userAgent', { maxUses: 2, useCount: 0 });
+    await verifyPost(LAPTOP);
+    await verifyPost(PHONE);
+    assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).useCount, 1);
+  });
+
+  it('leaves unbound tokens usable from anywhere', async () => {
+    assert.equal((await verifyPost(LAPTOP)).status, 200);
+    assert.equal((await verifyPost(PHONE)).status, 200);
+    assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).boundFingerprint, undefined);
+  });
+});
+
+describe('reset-token-binding', () => {
+  function reset(body, authorization = therapistBearer(THERAPIST)) {
+    return resetBinding(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/tokens/reset-binding',
+      headers: { authorization },
+      body
+    }), fakeContext());
+  }
+
+  it('lets the next client bind after the therapist resets it', async () => {
+    await bindToken('userAgent');
+    await verifyPost(LAPTOP);
+
+    const res = await reset({ token: TOKEN });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.token.boundAt, null);
+    assert.equal(res.jsonBody.token.bindingMode, 'userAgent');
+
+    assert.equal((await verifyPost(PHONE)).status, 200);
+    assert.equal((await verifyPost(LAPTOP)).status, 403);
+  });
+
+  it('only resets the therapist\'s own bound tokens', async () => {
+    assert.equal((await reset({ token: TOKEN })).jsonBody.error, 'invalid_binding');
+    await bindToken('ip');
+    assert.equal((await reset({ token: TOKEN }, therapistBearer('therapist-2'))).status, 404);
+  });
+});
+
+describe('binding modes', () => {
+  it('normalises bindTo input', () => {
+    assert.deepEqual(parseBindingMode(['userAgent', 'ip', 'ip']), { bindingMode: 'ip,userAgent' });
+    assert.deepEqual(parseBindingMode('cookie'), { bindingMode: 'cookie' });
+    assert.deepEqual(parseBindingMode(undefined), { bindingMode: null });
+    assert.ok(parseBindingMode(['device']).error);
+    assert.ok(parseBindingMode([]).error);
+  });
+
+  it('groups IPv6 clients by /64', () => {
+    const fingerprint = ip => clientFingerprint(fakeRequest({ headers: { 'x-forwarded-for': ip } }), 'ip').fingerprint;
+    assert.equal(fingerprint('2001:db8:1:2::1'), fingerprint('2001:db8:1:2:ffff::9'));
+    assert.notEqual(fingerprint('2001:db8:1:2::1'), fingerprint('2001:db8:1:3::1'));
+  });
+
+  it('is set through create-token', async () => {
+    const create = body => createToken(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/create-token',
+      headers: { authorization: therapistBearer(THERAPIST) },
+      body: { activityUrl: 'https://onlinetherapytools.com/activities/bingo/bingo.html', ...body }
+    }), fakeContext());
+
+    const created = await create({ bindTo: ['cookie'] });
+    assert.equal(created.status, 201);
+    assert.equal(created.jsonBody.bindingMode, 'cookie');
+    assert.equal((await store.getToken(THERAPIST, created.jsonBody.tokenId)).bindingMode, 'cookie');
+
+    assert.equal((await create({ bindTo: 'fingerprint' })).jsonBody.error, 'invalid_binding');
+  });
+});
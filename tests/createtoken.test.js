@@ -0,0 +1,91 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, storedKey, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions();
+const createToken = functions['create-token'].handler;
+const verifyToken = functions['verify-token'].handler;
+
+const THERAPIST = 'therapist-1';
+const BINGO = 'https://onlinetherapytools.com/activities/bingo/bingo.html';
+
+let store;
+
+function create(body, headers = { authorization: therapistBearer(THERAPIST) }) {
+  return createToken(fakeRequest({ method: 'POST', url: 'https://hub.test/api/create-token', headers, body }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore();
+  setTokenStore(store);
+});
+
+describe('create-token', () => {
+  it('creates a 64-hex token with a versioned schema that verify-token accepts', async () => {
+    const res = await create({ activityUrl: BINGO, ttlMinutes: 90 });
+    assert.equal(res.status, 201);
+    assert.match(res.jsonBody.token, /^[0-9a-f]{64}$/);
+
+    assert.equal(res.jsonBody.tokenId, storedKey(res.jsonBody.token));
+    assert.equal(await store.getToken(THERAPIST, res.jsonBody.token), null);
+
+    const stored = await store.getToken(THERAPIST, res.jsonBody.tokenId);
+    assert.equal(stored.schemaVersion, 2);
+    assert.equal(stored.activityUrl, BINGO);
+    assert.equal(stored.isRevoked, false);
+
+    const verifyUrl = new URL(res.jsonBody.verifyUrl);
+    assert.equal(verifyUrl.pathname, '/api/verify-token');
+    const verified = await verifyToken(fakeRequest({ method: 'POST', body: { token: res.jsonBody.token, therapistId: THERAPIST } }), fakeContext());
+    assert.equal(verified.status, 200);
+  });
+
+  it('generates a different token every time', async () => {
+    const first = await create({ activityUrl: BINGO });
+    const second = await create({ activityUrl: BINGO });
+    assert.notEqual(first.jsonBody.token, second.jsonBody.token);
+  });
+
+  it('rejects JSON bodies that are not objects', async () => {
+    for (const body of ['null', '42', '"bingo"']) {
+      const res = await create(body);
+      assert.equal(res.status, 400, body);
+      assert.equal(res.jsonBody.error, 'invalid_json', body);
+    }
+  });
+
+  it('rejects activity URLs outside the redirect allowlist', async () => {
+    const res = await create({ activityUrl: 'https://onlinetherapytools.com.evil.example/bingo.html' });
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error, 'invalid_activity_url');
+  });
+
+  it('enforces the minimum and maximum lifetime', async () => {
+    assert.equal((await create({ activityUrl: BINGO, ttlMinutes: 1 })).jsonBody.error, 'invalid_expiry');
+    assert.equal((await create({ activityUrl: BINGO, ttlMinutes: 60 * 24 * 365 })).jsonBody.error, 'invalid_expiry');
+    assert.equal((await create({ activityUrl: BINGO, expiresAt: 'tomorrow' })).jsonBody.error, 'invalid_expiry');
+  });
+
+  it('validates maxUses', async () => {
+    assert.equal((await create({ activityUrl: BINGO, maxUses: 0 })).jsonBody.error, 'invalid_max_uses');
+    const res = await create({ activityUrl: BINGO, maxUses: 1 });
+    assert.equal(res.jsonBody.maxUses, 1);
+  });
+
+  it('forbids therapists creating tokens for someone else', async () => {
+    const res = await create({ activityUrl: BINGO, therapistId: 'therapist-2' });
+    assert.equal(res.status, 403);
+  });
+
+  it('lets trusted backends create tokens for any therapist', async () => {
+    const res = await create({ activityUrl: BINGO, therapistId: 'therapist-2' }, { 'x-api-key': TEST_ENV.SERVICE_API_KEYS });
+    assert.equal(res.status, 201);
+    assert.equal((await store.getToken('therapist-2', res.jsonBody.tokenId)).createdBy, 'api_key');
+  });
+
+  it('requires authentication', async () => {
+    const res = await create({ activityUrl: BINGO }, {});
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext } from './harness.js';
+import { ERROR_CODES, errorDetails } from '../src/lib/errorcodes.js';
+import { ACCESS_DENIED_REASONS } from '../src/lib/accesspage.js';
+
+const functions = await loadFunctions();
+// Imported after loadFunctions so the URL policy sees the test origins
+const { createResponder } = await import('../src/lib/responses.js');
+const errorCodes = functions['error-codes'].handler;
+
+describe('error code catalogue', () => {
+  it('gives the access-denied page copy for every redirect reason', () => {
+    for (const { redirect } of Object.values(ERROR_CODES)) {
+      if (redirect) {
+        assert.ok(ACCESS_DENIED_REASONS[redirect], `no page copy for ${redirect}`);
+      }
+    }
+  });
+
+  it('publishes JWT verification reasons only under the auth_ namespace', () => {
+    const jwtReasons = ['malformed', 'unsupported_algorithm', 'unknown_key', 'invalid_signature', 'expired', 'not_yet_valid', 'invalid_issuer', 'invalid_audience'];
+    for (const reason of jwtReasons) {
+      assert.ok(!Object.hasOwn(ERROR_CODES, reason), `${reason} is a bare catalogue code`);
+      assert.equal(errorDetails(`auth_${reason}`).status, 401, `auth_${reason}`);
+    }
+  });
+
+  it('treats unknown codes as server errors', () => {
+    assert.equal(errorDetails('no_such_code').status, 500);
+    assert.equal(errorDetails('toString').status, 500);
+  });
+});
+
+describe('createResponder', () => {
+  const request = fakeRequest({ method: 'POST', headers: { origin: 'https://app.onlinetherapytools.com' } });
+
+  it('builds JSON failures from the catalogue', () => {
+    const res = createResponder(request, { methods: 'POST, OPTIONS' }).failure('token_revoked', { therapistId: 'therapist-1' });
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.jsonBody, { success: false, message: 'Token has been revoked', error: 'token_revoked' });
+    assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://app.onlinetherapytools.com');
+    assert.equal(res.headers['Cache-Control'], 'no-cache, no-store, must-revalidate');
+  });
+
+  it('redirects failures that have a redirect reason when a failure page is set', () => {
+    const respond = createResponder(request, { methods: 'GET', failureRedirectUrl: 'https://hub.test/api/access-denied' });
+    const schema = respond.failure('invalid_token_schema', { therapistId: 'therapist-1' });
+    assert.equal(schema.status, 302);
+    assert.equal(schema.headers.Location, 'https://hub.test/api/access-denied?error=invalid_token&therapist_id=therapist-1');
+
+    // JSON-only codes still come back as JSON
+    assert.equal(respond.failure('invalid_json').status, 400);
+  });
+
+  it('lets callers override the message and add fields', () => {
+    const res = createResponder(request, { methods: 'POST' }).failure('rate_limited', {
+      message: 'Slow down',
+      headers: { 'Retry-After': '30' },
+      retryAfterSeconds: 30
+    });
+    assert.equal(res.status, 429);
+    assert.equal(res.headers['Retry-After'], '30');
+    assert.deepEqual(res.jsonBody, { success: false, message: 'Slow down', error: 'rate_limited', retryAfterSeconds: 30 });
+  });
+});
+
+describe('error-codes', () => {
+  it('publishes the catalogue', async () => {
+    const res = await errorCodes(fakeRequest({ url: 'https://hub.test/api/error-codes' }), fakeContext());
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.redirectParameter, 'error');
+    assert.equal(res.jsonBody.count, Object.keys(ERROR_CODES).length);
+    assert.deepEqual(res.jsonBody.codes.find(entry => entry.code === 'invalid_token_schema'), {
+      code: 'invalid_token_schema',
+      status: 401,
+      message: 'Token has invalid schema - new schema required',
+      redirectReason: 'invalid_token'
+    });
+    assert.equal(res.jsonBody.codes.find(entry => entry.code === 'invalid_json').redirectReason, null);
+    assert.equal(res.headers['Cache-Control'], 'public, max-age=3600');
+  });
+});
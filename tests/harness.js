@@ -0,0 +1,101 @@
+import crypto from 'node:crypto';
+import { app } from '@azure/functions';
+import { signJwt } from '../src/lib/jwt.js';
+
+// 🧪 TEST HARNESS
+// Captures the handlers registered with app.http/app.timer and provides fake
+// request/context objects so handlers can be exercised without the Functions host.
+
+export const TEST_ENV = {
+  TOKEN_STORE: 'memory',
+  ALLOWED_ORIGIN: 'https://onlinetherapytools.com,https://app.onlinetherapytools.com',
+  FAILED_TOKEN_URL: 'https://onlinetherapytools.com/access-denied',
+  THERAPIST_AUTH_SECRET: 'test-therapist-auth-secret',
+  SESSION_SIGNING_SECRET: 'test-session-signing-secret',
+  SERVICE_API_KEYS: 'test-service-api-key',
+  SERVICE_AUTH_SECRET: 'test-service-auth-secret',
+  TOKEN_HASH_PEPPER: 'test-token-hash-pepper'
+};
+
+const registered = {};
+
+export async function loadFunctions(env = {}) {
+  Object.assign(process.env, TEST_ENV, env);
+
+  app.http = (name, options) => { registered[name] = options; };
+  app.timer = (name, options) => { registered[name] = options; };
+
+  await import('../src/index.js');
+  return registered;
+}
+
+export function fakeRequest({ method = 'GET', url = 'https://hub.test/api/verify-token', headers = {}, body } = {}) {
+  return {
+    method,
+    url,
+    headers: new Headers(headers),
+    query: new URL(url).searchParams,
+    async json() {
+      return JSON.parse(typeof body === 'string' ? body : JSON.stringify(body));
+    },
+    async text() {
+      return body === undefined || typeof body === 'string' ? body ?? '' : JSON.stringify(body);
+    },
+    clone() {
+      return fakeRequest({ method, url, headers, body });
+    }
+  };
+}
+
+export function fakeContext() {
+  const logs = [];
+  const log = (...args) => logs.push(args);
+  return {
+    logs,
+    log,
+    trace: log,
+    debug: log,
+    info: log,
+    warn: log,
+    error: log,
+    invocationId: 'test-invocation',
+    functionName: 'test-function'
+  };
+}
+
+// Structured (JSON) lines written through a fake context
+export function logEntries(context) {
+  return context.logs
+    .filter(([line]) => typeof line === 'string' && line.startsWith('{'))
+    .map(([line]) => JSON.parse(line));
+}
+
+export function therapistBearer(therapistId, claims = {}) {
+  const jwt = signJwt({
+    therapistId,
+    exp: Math.floor(Date.now() / 1000) + 300,
+    ...claims
+  }, TEST_ENV.THERAPIST_AUTH_SECRET);
+  return `Bearer ${jwt}`;
+}
+
+// RowKey a raw token is stored under (HMAC-SHA256 with the test pepper)
+export function storedKey(token) {
+  return crypto.createHmac('sha256', TEST_ENV.TOKEN_HASH_PEPPER).update(token).digest('hex');
+}
+
+// Pass `token` for a hashed-at-rest entity, or `rowKey` to store a key as-is (legacy plaintext)
+export function tokenEntity({ token = 'a'.repeat(64), ...overrides } = {}) {
+  const therapistId = overrides.therapistId || 'therapist-1';
+  return {
+    partitionKey: therapistId,
+    rowKey: storedKey(token),
+    therapistId,
+    activityUrl: 'https://onlinetherapytools.com/activities/bingo/bingo.html',
+    createdAt: new Date(Date.now() - 60 * 1000).toISOString(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    isRevoked: false,
+    schemaVersion: 2,
+    ...overrides
+  };
+}
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, logEntries } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions({ BUILD_VERSION: '2024.06.1+abc123', READINESS_CHECK_TIMEOUT_MS: '50' });
+const health = functions.health.handler;
+const ready = functions.ready.handler;
+
+function probe(handler, route, context = fakeContext()) {
+  return handler(fakeRequest({ url: `https://hub.test/api/${route}` }), context);
+}
+
+function failedChecksLogged(context) {
+  const entry = logEntries(context).find(line => line.msg.startsWith('⚠️ Readiness check failed'));
+  return Object.fromEntries(entry.failed.map(check => [check.name, check]));
+}
+
+function byName(res) {
+  return Object.fromEntries(res.jsonBody.checks.map(check => [check.name, check]));
+}
+
+beforeEach(() => {
+  setTokenStore(createMemoryTokenStore());
+});
+
+describe('health', () => {
+  it('reports liveness and the build version without touching storage', async () => {
+    setTokenStore({ ping: () => assert.fail('health must not touch storage') });
+    const res = await probe(health, 'health');
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.status, 'ok');
+    assert.equal(res.jsonBody.version, '2024.06.1+abc123');
+    assert.equal(typeof res.jsonBody.uptimeSeconds, 'number');
+    assert.equal(res.headers['Cache-Control'], 'no-cache, no-store, must-revalidate');
+  });
+});
+
+describe('ready', () => {
+  it('passes config, table and round-trip checks with latencies', async () => {
+    const res = await probe(ready, 'ready');
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.status, 'ready');
+    assert.equal(res.jsonBody.version, '2024.06.1+abc123');
+    assert.deepEqual(res.jsonBody.checks.map(check => check.name), ['config', 'tokenTable', 'roundTrip']);
+    for (const check of res.jsonBody.checks) {
+      assert.equal(check.status, 'pass');
+      assert.equal(typeof check.latencyMs, 'number');
+    }
+    assert.equal(typeof res.jsonBody.latencyMs, 'number');
+  });
+
+  it('returns 503 when the token table is unreachable and logs why', async () => {
+    const store = createMemoryTokenStore();
+    store.ping = async () => { throw new Error('getaddrinfo ENOTFOUND account.table.core.windows.net'); };
+    store.getToken = async () => { throw new Error('connect ECONNREFUSED'); };
+    setTokenStore(store);
+
+    const context = fakeContext();
+    const res = await probe(ready, 'ready', context);
+    assert.equal(res.status, 503);
+    assert.equal(res.jsonBody.status, 'not_ready');
+    const checks = byName(res);
+    assert.equal(checks.config.status, 'pass');
+    assert.deepEqual(Object.keys(checks.tokenTable), ['name', 'status', 'latencyMs']);
+    assert.equal(checks.tokenTable.status, 'fail');
+    assert.equal(checks.roundTrip.status, 'fail');
+    assert.ok(!JSON.stringify(res.jsonBody).includes('ENOTFOUND'));
+
+    assert.match(failedChecksLogged(context).tokenTable.error, /ENOTFOUND/);
+  });
+
+  it('fails a check that hangs instead of hanging the probe', async () => {
+    const store = createMemoryTokenStore();
+    store.ping = () => new Promise(() => {});
+    setTokenStore(store);
+
+    const context = fakeContext();
+    const res = await probe(ready, 'ready', context);
+    assert.equal(res.status, 503);
+    assert.equal(byName(res).tokenTable.status, 'fail');
+    assert.equal(byName(res).roundTrip.status, 'pass');
+    assert.match(failedChecksLogged(context).tokenTable.error, /Timed out after 50ms/);
+  });
+});
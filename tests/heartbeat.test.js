@@ -0,0 +1,124 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, tokenEntity, storedKey } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const functions = await loadFunctions();
+const verifyToken = functions['verify-token'].handler;
+const heartbeat = functions.heartbeat.handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+const MINUTE = 60 * 1000;
+
+let store;
+
+const minutesFromNow = n => new Date(Date.now() + n * MINUTE).toISOString();
+
+function slidingToken(overrides = {}) {
+  return tokenEntity({
+    expiresAt: minutesFromNow(5),
+    idleTimeoutMinutes: 30,
+    absoluteExpiresAt: minutesFromNow(14 * 24 * 60),
+    ...overrides
+  });
+}
+
+function verifyPost() {
+  return verifyToken(fakeRequest({ method: 'POST', body: { token: TOKEN, therapistId: THERAPIST } }), fakeContext());
+}
+
+function beat(sessionToken) {
+  return heartbeat(fakeRequest({
+    method: 'POST',
+    url: 'https://hub.test/api/heartbeat',
+    headers: { authorization: `Bearer ${sessionToken}` }
+  }), fakeContext());
+}
+
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(Date.parse(actual) - Date.parse(expected)) < 5000, `${actual} is not close to ${expected}`);
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({ entities: [slidingToken()] });
+  setTokenStore(store);
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('sliding expiry', () => {
+  it('pushes expiresAt forward on verify-token and reports both deadlines', async () => {
+    const res = await verifyPost();
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.expiryMode, 'sliding');
+    assert.equal(res.jsonBody.idleTimeoutMinutes, 30);
+    assertNear(res.jsonBody.expiresAt, minutesFromNow(30));
+    assertNear(res.jsonBody.absoluteExpiresAt, minutesFromNow(14 * 24 * 60));
+    assertNear((await store.getToken(THERAPIST, storedKey(TOKEN))).expiresAt, minutesFromNow(30));
+  });
+
+  it('never slides past the absolute cap', async () => {
+    const absoluteExpiresAt = minutesFromNow(10);
+    await store.updateToken(slidingToken({ absoluteExpiresAt }));
+    const res = await verifyPost();
+    assert.equal(res.jsonBody.expiresAt, absoluteExpiresAt);
+    assert.equal(res.jsonBody.absoluteExpiresAt, absoluteExpiresAt);
+  });
+
+  it('leaves fixed-expiry tokens alone', async () => {
+    const expiresAt = minutesFromNow(5);
+    await store.updateToken(tokenEntity({ expiresAt }));
+    const res = await verifyPost();
+    assert.equal(res.jsonBody.expiresAt, expiresAt);
+    assert.equal(res.jsonBody.expiryMode, undefined);
+  });
+});
+
+describe('heartbeat', () => {
+  it('extends the idle deadline and re-issues the session credential', async () => {
+    const { sessionToken } = (await verifyPost()).jsonBody;
+    await store.updateToken(slidingToken({ expiresAt: minutesFromNow(1) }));
+
+    const res = await beat(sessionToken);
+    assert.equal(res.status, 200);
+    assertNear(res.jsonBody.expiresAt, minutesFromNow(30));
+    assertNear(res.jsonBody.absoluteExpiresAt, minutesFromNow(14 * 24 * 60));
+    assert.ok(res.jsonBody.sessionToken);
+    assertNear((await store.getToken(THERAPIST, storedKey(TOKEN))).expiresAt, minutesFromNow(30));
+
+    // The new credential keeps working
+    assert.equal((await beat(res.jsonBody.sessionToken)).status, 200);
+  });
+
+  it('does not consume uses', async () => {
+    await store.updateToken(slidingToken({ maxUses: 1, useCount: 0 }));
+    const { sessionToken } = (await verifyPost()).jsonBody;
+    await beat(sessionToken);
+    assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).useCount, 1);
+  });
+
+  it('refuses sessions minted from fixed-expiry tokens', async () => {
+    await store.updateToken(tokenEntity());
+    const { sessionToken } = (await verifyPost()).jsonBody;
+    const res = await beat(sessionToken);
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error, 'sliding_not_enabled');
+  });
+
+  it('stops once the token is revoked or lapsed', async () => {
+    const { sessionToken } = (await verifyPost()).jsonBody;
+
+    await store.updateToken(slidingToken({ isRevoked: true }));
+    assert.equal((await beat(sessionToken)).jsonBody.error, 'token_revoked');
+
+    await store.updateToken(slidingToken({ expiresAt: minutesFromNow(-10) }));
+    assert.equal((await beat(sessionToken)).jsonBody.error, 'token_expired');
+  });
+
+  it('rejects missing or invalid credentials', async () => {
+    const missing = await heartbeat(fakeRequest({ method: 'POST', url: 'https://hub.test/api/heartbeat', body: {} }), fakeContext());
+    assert.equal(missing.jsonBody.error, 'missing_session');
+    assert.equal((await beat('not.a.jwt')).jsonBody.error, 'invalid_session');
+  });
+});
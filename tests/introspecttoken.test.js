@@ -0,0 +1,115 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, tokenEntity, storedKey, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { signJwt } from '../src/lib/jwt.js';
+
+const functions = await loadFunctions();
+const introspect = functions['introspect-token'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+const API_KEY_HEADERS = { 'x-api-key': TEST_ENV.SERVICE_API_KEYS };
+
+let store;
+
+function introspectJson(body, headers = API_KEY_HEADERS) {
+  return introspect(fakeRequest({ method: 'POST', url: 'https://hub.test/api/introspect-token', headers, body }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({ entities: [tokenEntity({ maxUses: 3, useCount: 1 })] });
+  setTokenStore(store);
+});
+
+describe('introspect-token', () => {
+  it('returns the full state of an active token', async () => {
+    const res = await introspectJson({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.active, true);
+    assert.equal(res.jsonBody.therapistId, THERAPIST);
+    assert.equal(res.jsonBody.activityUrl, 'https://onlinetherapytools.com/activities/bingo/bingo.html');
+    assert.equal(res.jsonBody.isRevoked, false);
+    assert.equal(res.jsonBody.useCount, 1);
+    assert.equal(res.jsonBody.maxUses, 3);
+    assert.equal(typeof res.jsonBody.exp, 'number');
+  });
+
+  it('accepts RFC 7662 form encoding', async () => {
+    const res = await introspect(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/introspect-token',
+      headers: { ...API_KEY_HEADERS, 'content-type': 'application/x-www-form-urlencoded' },
+      body: `token=${TOKEN}&therapist_id=${THERAPIST}`
+    }), fakeContext());
+    assert.equal(res.jsonBody.active, true);
+  });
+
+  it('reports values that cannot be table keys as inactive without a lookup', async () => {
+    store.getToken = async () => {
+      throw Object.assign(new Error('The request URI is invalid'), { statusCode: 400 });
+    };
+    for (const body of [{ token: 'abc/def', therapistId: THERAPIST }, { token: TOKEN, therapistId: 'therapist#1' }]) {
+      const res = await introspectJson(body);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.jsonBody, { active: false });
+    }
+  });
+
+  it('reports expired tokens without deleting them', async () => {
+    await store.updateToken(tokenEntity({ expiresAt: new Date(Date.now() - 10 * 60 * 1000).toISOString() }));
+    const res = await introspectJson({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.jsonBody.active, false);
+    assert.equal(res.jsonBody.inactiveReason, 'token_expired');
+    assert.ok(await store.getToken(THERAPIST, storedKey(TOKEN)));
+  });
+
+  it('reports scheduled tokens as not yet valid with nbf', async () => {
+    const notBefore = new Date(Date.now() + 60 * 60 * 1000);
+    await store.updateToken(tokenEntity({ notBefore: notBefore.toISOString(), expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString() }));
+    const res = await introspectJson({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.jsonBody.active, false);
+    assert.equal(res.jsonBody.inactiveReason, 'token_not_yet_valid');
+    assert.equal(res.jsonBody.nbf, Math.floor(notBefore.getTime() / 1000));
+  });
+
+  it('reports revoked tokens with revokedAt', async () => {
+    const revokedAt = new Date().toISOString();
+    await store.updateToken(tokenEntity({ isRevoked: true, revokedAt }));
+    const res = await introspectJson({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.jsonBody.active, false);
+    assert.equal(res.jsonBody.inactiveReason, 'token_revoked');
+    assert.equal(res.jsonBody.revokedAt, revokedAt);
+  });
+
+  it('does not consume uses', async () => {
+    await introspectJson({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).useCount, 1);
+  });
+
+  it('returns only active=false for unknown tokens', async () => {
+    const res = await introspectJson({ token: 'b'.repeat(64), therapistId: THERAPIST });
+    assert.deepEqual(res.jsonBody, { active: false });
+  });
+
+  it('accepts a signed caller credential', async () => {
+    const jwt = signJwt({
+      sub: 'generator-hub',
+      aud: 'therapy-tools-token-validation-hub',
+      exp: Math.floor(Date.now() / 1000) + 60
+    }, TEST_ENV.SERVICE_AUTH_SECRET);
+    const res = await introspectJson({ token: TOKEN, therapistId: THERAPIST }, { authorization: `Bearer ${jwt}` });
+    assert.equal(res.jsonBody.active, true);
+  });
+
+  it('rejects callers without valid credentials', async () => {
+    assert.equal((await introspectJson({ token: TOKEN, therapistId: THERAPIST }, {})).status, 401);
+    assert.equal((await introspectJson({ token: TOKEN, therapistId: THERAPIST }, { 'x-api-key': 'wrong' })).status, 401);
+  });
+
+  it('requires token and therapistId', async () => {
+    const res = await introspectJson({ token: TOKEN });
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error, 'missing_therapist_id');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fakeRequest, fakeContext, logEntries } from './harness.js';
+import { redact, therapistLogId, getRequestId, createLogContext, withRequestLogging } from '../src/lib/logger.js';
+
+const TOKEN = 'f'.repeat(64);
+
+describe('redact', () => {
+  it('removes secret fields but keeps token log references', () => {
+    assert.deepEqual(redact({ token: TOKEN, sessionToken: 'eyJ.a.b', receivedToken: '#0123456789ab', tokenLength: 64 }), {
+      token: '[REDACTED]',
+      sessionToken: '[REDACTED]',
+      receivedToken: '#0123456789ab',
+      tokenLength: 64
+    });
+  });
+
+  it('pseudonymises therapist ids consistently', () => {
+    const redacted = redact({ therapistId: 'therapist-1', nested: { partitionKey: 'therapist-1' } });
+    assert.equal(redacted.therapistId, therapistLogId('therapist-1'));
+    assert.equal(redacted.nested.partitionKey, redacted.therapistId);
+    assert.ok(!JSON.stringify(redacted).includes('therapist-1'));
+  });
+
+  it('strips query strings, JWTs and raw tokens from free text', () => {
+    const text = redact(`GET https://hub.test/api/verify-token?token=${TOKEN}&therapist_id=t1 with Bearer eyJhbGciOi.eyJzdWIi.c2ln and ${TOKEN}`);
+    assert.equal(text, 'GET https://hub.test/api/verify-token?[REDACTED] with Bearer [REDACTED] and [REDACTED]');
+  });
+});
+
+describe('getRequestId', () => {
+  it('reuses a well-formed X-Request-ID', () => {
+    assert.equal(getRequestId(fakeRequest({ headers: { 'x-request-id': 'abc-123' } })), 'abc-123');
+  });
+
+  it('generates an id when the header is missing or malformed', () => {
+    const generated = getRequestId(fakeRequest({ headers: { 'x-request-id': 'not a valid id!' } }));
+    assert.match(generated, /^[0-9a-f-]{36}$/);
+    assert.notEqual(getRequestId(fakeRequest()), getRequestId(fakeRequest()));
+  });
+});
+
+describe('createLogContext', () => {
+  it('emits one JSON line per call with level, correlation fields and redacted data', () => {
+    const context = fakeContext();
+    const logContext = createLogContext(context, { requestId: 'req-1' });
+    logContext.warn('⚠️ Lookup failed:', 'timeout', { therapistId: 'therapist-1', token: TOKEN });
+
+    const [entry] = logEntries(context);
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.requestId, 'req-1');
+    assert.equal(entry.invocationId, 'test-invocation');
+    assert.equal(entry.msg, '⚠️ Lookup failed: timeout');
+    assert.equal(entry.therapistId, therapistLogId('therapist-1'));
+    assert.equal(entry.token, '[REDACTED]');
+  });
+
+  it('drops lines below the configured level (info by default)', () => {
+    const context = fakeContext();
+    const logContext = createLogContext(context);
+    logContext.debug('noisy detail');
+    logContext.log('kept');
+    assert.deepEqual(logEntries(context).map(entry => entry.level), ['info']);
+  });
+
+  it('does not let data fields overwrite the envelope', () => {
+    const context = fakeContext();
+    createLogContext(context, { requestId: 'req-1' }).log('message', { level: 'error', requestId: 'spoofed' });
+    const [entry] = logEntries(context);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.requestId, 'req-1');
+  });
+});
+
+describe('withRequestLogging', () => {
+  const handler = withRequestLogging(async (request, context) => {
+    context.log('handled');
+    return { status: 200, headers: { 'Content-Type': 'application/json' }, jsonBody: { requestId: context.requestId } };
+  });
+
+  it('propagates the incoming X-Request-ID to logs and the response', async () => {
+    const context = fakeContext();
+    const res = await handler(fakeRequest({ headers: { 'x-request-id': 'req-42' } }), context);
+    assert.equal(res.headers['X-Request-ID'], 'req-42');
+    assert.equal(res.headers['Access-Control-Expose-Headers'], 'X-Request-ID');
+    assert.equal(res.headers['Content-Type'], 'application/json');
+    assert.equal(res.jsonBody.requestId, 'req-42');
+    assert.equal(logEntries(context)[0].requestId, 'req-42');
+  });
+
+  it('generates and echoes an id when none is sent', async () => {
+    const res = await handler(fakeRequest(), fakeContext());
+    assert.match(res.headers['X-Request-ID'], /^[0-9a-f-]{36}$/);
+  });
+});
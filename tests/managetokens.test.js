@@ -0,0 +1,182 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity, storedKey } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions();
+const listTokens = functions['list-tokens'].handler;
+const revokeAll = functions['revoke-all-tokens'].handler;
+const unrevoke = functions['unrevoke-token'].handler;
+const extend = functions['extend-token'].handler;
+
+const THERAPIST = 'therapist-1';
+const HOUR = 60 * 60 * 1000;
+const BINGO = 'https://onlinetherapytools.com/activities/bingo/bingo.html';
+const FEELINGS = 'https://onlinetherapytools.com/activities/feelings.html';
+
+let store;
+
+function call(handler, { method = 'POST', path = '', body, authorization = therapistBearer(THERAPIST) } = {}) {
+  const headers = authorization ? { authorization } : {};
+  return handler(fakeRequest({ method, url: `https://hub.test/api/tokens${path}`, headers, body }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({
+    entities: [
+      tokenEntity({ rowKey: 'token-a' }),
+      tokenEntity({ rowKey: 'token-b', activityUrl: FEELINGS }),
+      tokenEntity({ rowKey: 'token-c', expiresAt: new Date(Date.now() - HOUR).toISOString() }),
+      tokenEntity({ rowKey: 'token-d', isRevoked: true, revokedAt: new Date().toISOString() }),
+      tokenEntity({ rowKey: 'token-e', therapistId: 'therapist-2' })
+    ]
+  });
+  setTokenStore(store);
+});
+
+describe('list-tokens', () => {
+  it('lists only the authenticated therapist\'s tokens with their status', async () => {
+    const res = await call(listTokens, { method: 'GET' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.jsonBody.tokens.map(token => [token.tokenId, token.status]), [
+      ['token-a', 'active'],
+      ['token-b', 'active'],
+      ['token-c', 'expired'],
+      ['token-d', 'revoked']
+    ]);
+  });
+
+  it('filters by status', async () => {
+    const res = await call(listTokens, { method: 'GET', path: '?status=expired' });
+    assert.deepEqual(res.jsonBody.tokens.map(token => token.tokenId), ['token-c']);
+  });
+
+  it('paginates with a cursor', async () => {
+    const first = await call(listTokens, { method: 'GET', path: '?pageSize=3' });
+    assert.equal(first.jsonBody.count, 3);
+    assert.equal(first.jsonBody.nextCursor, 'token-c');
+
+    const second = await call(listTokens, { method: 'GET', path: `?pageSize=3&cursor=${first.jsonBody.nextCursor}` });
+    assert.deepEqual(second.jsonBody.tokens.map(token => token.tokenId), ['token-d']);
+    assert.equal(second.jsonBody.nextCursor, null);
+  });
+
+  it('answers CORS preflight with the hub\'s shared allowed headers', async () => {
+    const res = await call(listTokens, { method: 'OPTIONS' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers['Access-Control-Allow-Headers'], /X-API-Key/);
+  });
+
+  it('requires authentication', async () => {
+    const res = await call(listTokens, { method: 'GET', authorization: null });
+    assert.equal(res.status, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+  });
+
+  it('rejects an unknown status filter', async () => {
+    const res = await call(listTokens, { method: 'GET', path: '?status=bogus' });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('revoke-all-tokens', () => {
+  it('revokes every unrevoked token for the therapist', async () => {
+    const res = await call(revokeAll, { path: '/revoke-all', body: {} });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.revokedCount, 3);
+    assert.equal((await store.getToken(THERAPIST, 'token-a')).isRevoked, true);
+    assert.equal((await store.getToken('therapist-2', 'token-e')).isRevoked, false);
+  });
+
+  it('revokes only tokens for a given activity', async () => {
+    const res = await call(revokeAll, { path: '/revoke-all', body: { activityUrl: FEELINGS } });
+    assert.equal(res.jsonBody.revokedCount, 1);
+    assert.equal((await store.getToken(THERAPIST, 'token-b')).isRevoked, true);
+    assert.equal((await store.getToken(THERAPIST, 'token-a')).isRevoked, false);
+  });
+});
+
+describe('unrevoke-token', () => {
+  it('restores a revoked token', async () => {
+    const res = await call(unrevoke, { path: '/unrevoke', body: { tokenId: 'token-d' } });
+    assert.equal(res.status, 200);
+    const stored = await store.getToken(THERAPIST, 'token-d');
+    assert.equal(stored.isRevoked, false);
+    assert.equal(stored.revokedAt, undefined);
+  });
+
+  it('accepts the raw token as well as its tokenId', async () => {
+    await store.createToken(tokenEntity({ token: 'raw-token', isRevoked: true }));
+    const res = await call(unrevoke, { path: '/unrevoke', body: { token: 'raw-token' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.token.tokenId, storedKey('raw-token'));
+  });
+
+  it('lists an unmigrated legacy token under its hashed id and finds it by that id', async () => {
+    const legacyToken = 'f'.repeat(64);
+    await store.createToken(tokenEntity({ rowKey: legacyToken, schemaVersion: 1, isRevoked: true }));
+
+    const listing = await call(listTokens, { method: 'GET', path: '?status=revoked' });
+    assert.ok(!JSON.stringify(listing.jsonBody).includes(legacyToken));
+    assert.ok(listing.jsonBody.tokens.some(token => token.tokenId === storedKey(legacyToken)));
+
+    const res = await call(unrevoke, { path: '/unrevoke', body: { tokenId: storedKey(legacyToken) } });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.token.tokenId, storedKey(legacyToken));
+    assert.equal((await store.getToken(THERAPIST, legacyToken)).isRevoked, false);
+  });
+
+  it('answers token_not_found for ids that cannot be table keys', async () => {
+    store.getToken = async () => {
+      throw Object.assign(new Error('The request URI is invalid'), { statusCode: 400 });
+    };
+    for (const body of [{ tokenId: 'token?d' }, { token: 'abc/def' }]) {
+      const res = await call(unrevoke, { path: '/unrevoke', body });
+      assert.equal(res.status, 404);
+      assert.equal(res.jsonBody.error, 'token_not_found');
+    }
+  });
+
+  it('cannot reach another therapist\'s token', async () => {
+    const res = await call(unrevoke, { path: '/unrevoke', body: { tokenId: 'token-e' } });
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error, 'token_not_found');
+  });
+});
+
+describe('extend-token', () => {
+  it('extends by minutes from the current expiry', async () => {
+    const before = new Date((await store.getToken(THERAPIST, 'token-a')).expiresAt);
+    const res = await call(extend, { path: '/extend', body: { tokenId: 'token-a', extendMinutes: 30 } });
+    assert.equal(res.status, 200);
+    assert.equal(new Date(res.jsonBody.token.expiresAt).getTime(), before.getTime() + 30 * 60 * 1000);
+  });
+
+  it('revives a lapsed link from now', async () => {
+    const res = await call(extend, { path: '/extend', body: { tokenId: 'token-c', extendMinutes: 15 } });
+    assert.equal(res.jsonBody.token.status, 'active');
+    assert.ok(new Date(res.jsonBody.token.expiresAt) > new Date());
+  });
+
+  it('sets an explicit expiry', async () => {
+    const expiresAt = new Date(Date.now() + 2 * HOUR).toISOString();
+    const res = await call(extend, { path: '/extend', body: { tokenId: 'token-a', expiresAt } });
+    assert.equal(res.jsonBody.token.expiresAt, expiresAt);
+  });
+
+  it('rejects past, invalid or too-distant expiries', async () => {
+    const past = await call(extend, { path: '/extend', body: { tokenId: 'token-a', expiresAt: new Date(Date.now() - HOUR).toISOString() } });
+    assert.equal(past.jsonBody.error, 'invalid_expiry');
+    const garbage = await call(extend, { path: '/extend', body: { tokenId: 'token-a', expiresAt: 'soon' } });
+    assert.equal(garbage.jsonBody.error, 'invalid_expiry');
+    const tooFar = await call(extend, { path: '/extend', body: { tokenId: 'token-a', extendMinutes: 365 * 24 * 60 } });
+    assert.equal(tooFar.jsonBody.error, 'invalid_expiry');
+  });
+
+  it('returns 409 when the token changes concurrently', async () => {
+    const updateToken = store.updateToken;
+    store.updateToken = async (entity, options) => updateToken(entity, { ...options, etag: 'stale' });
+    const res = await call(extend, { path: '/extend', body: { tokenId: 'token-a', extendMinutes: 30 } });
+    assert.equal(res.status, 409);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, tokenEntity, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+import { resetMetrics } from '../src/lib/metrics.js';
+
+const functions = await loadFunctions();
+const metrics = functions.metrics.handler;
+const verifyToken = functions['verify-token'].handler;
+const sweeper = functions['sweep-expired-tokens'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+
+function scrape(headers = { 'x-api-key': TEST_ENV.SERVICE_API_KEYS }) {
+  return metrics(fakeRequest({ url: 'https://hub.test/api/metrics', headers }), fakeContext());
+}
+
+function verifyGet(token) {
+  const url = new URL('https://hub.test/api/verify-token');
+  url.searchParams.set('token', token);
+  url.searchParams.set('therapist_id', THERAPIST);
+  return verifyToken(fakeRequest({ method: 'GET', url: url.toString() }), fakeContext());
+}
+
+function verifyPost(token) {
+  return verifyToken(fakeRequest({ method: 'POST', body: { token, therapistId: THERAPIST } }), fakeContext());
+}
+
+// Value of one sample line, e.g. sample(text, 'token_hub_verifications_total{method="GET",outcome="success"}')
+function sample(text, series) {
+  const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+beforeEach(() => {
+  resetMetrics();
+  setTokenStore(createMemoryTokenStore({ entities: [tokenEntity()] }));
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('metrics', () => {
+  it('requires service credentials', async () => {
+    const missing = await scrape({});
+    assert.equal(missing.status, 401);
+    assert.equal(missing.jsonBody.error, 'missing_credentials');
+    assert.equal(missing.headers['WWW-Authenticate'], 'Bearer');
+
+    const wrong = await scrape({ 'x-api-key': 'not-a-key' });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.jsonBody.error, 'invalid_api_key');
+  });
+
+  it('serves Prometheus text with HELP and TYPE for every metric', async () => {
+    const res = await scrape();
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Content-Type'], 'text/plain; version=0.0.4; charset=utf-8');
+    assert.match(res.body, /^# TYPE token_hub_verifications_total counter$/m);
+    assert.match(res.body, /^# TYPE token_hub_verification_duration_seconds histogram$/m);
+    assert.match(res.body, /^# TYPE token_hub_store_operation_duration_seconds histogram$/m);
+    assert.match(res.body, /^# TYPE token_hub_cleanup_deletions_total counter$/m);
+  });
+
+  it('counts verification outcomes by method and error code', async () => {
+    await verifyGet(TOKEN);
+    await verifyPost(TOKEN);
+    await verifyPost('b'.repeat(64));
+    await verifyGet('b'.repeat(64));
+
+    const { body } = await scrape();
+    assert.equal(sample(body, 'token_hub_verifications_total{method="GET",outcome="success"}'), 1);
+    assert.equal(sample(body, 'token_hub_verifications_total{method="POST",outcome="success"}'), 1);
+    assert.equal(sample(body, 'token_hub_verifications_total{method="POST",outcome="invalid_token"}'), 1);
+    assert.equal(sample(body, 'token_hub_verifications_total{method="GET",outcome="invalid_token"}'), 1);
+    assert.equal(sample(body, 'token_hub_verification_duration_seconds_count{method="POST"}'), 2);
+    assert.equal(sample(body, 'token_hub_verification_duration_seconds_bucket{method="POST",le="+Inf"}'), 2);
+  });
+
+  it('records revoked, expired and failed verifications', async () => {
+    setTokenStore(createMemoryTokenStore({
+      entities: [
+        tokenEntity({ isRevoked: true }),
+        tokenEntity({ token: 'c'.repeat(64), expiresAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() })
+      ]
+    }));
+    await verifyPost(TOKEN);
+    await verifyPost('c'.repeat(64));
+
+    const { body } = await scrape();
+    assert.equal(sample(body, 'token_hub_verifications_total{method="POST",outcome="token_revoked"}'), 1);
+    assert.equal(sample(body, 'token_hub_verifications_total{method="POST",outcome="token_expired"}'), 1);
+    assert.equal(sample(body, 'token_hub_cleanup_deletions_total{source="verify",reason="expired"}'), 1);
+  });
+
+  it('counts GET failures by their exact code, not the coarser redirect reason', async () => {
+    setTokenStore(createMemoryTokenStore({
+      entities: [
+        tokenEntity({ activityUrl: undefined }),
+        tokenEntity({ token: 'c'.repeat(64), expiresAt: 'not-a-date' })
+      ]
+    }));
+    const schema = await verifyGet(TOKEN);
+    const date = await verifyGet('c'.repeat(64));
+    assert.match(schema.headers.Location, /error=invalid_token&/);
+    assert.match(date.headers.Location, /error=invalid_token&/);
+
+    const { body } = await scrape();
+    assert.equal(sample(body, 'token_hub_verifications_total{method="GET",outcome="invalid_token_schema"}'), 1);
+    assert.equal(sample(body, 'token_hub_verifications_total{method="GET",outcome="invalid_token_date"}'), 1);
+    assert.equal(sample(body, 'token_hub_verifications_total{method="GET",outcome="invalid_token"}'), undefined);
+  });
+
+  it('times storage operations with their result', async () => {
+    await verifyPost(TOKEN);
+    await verifyPost('b'.repeat(64));
+
+    const { body } = await scrape();
+    assert.ok(sample(body, 'token_hub_store_operation_duration_seconds_count{operation="getToken",result="ok"}') >= 2);
+    assert.ok(sample(body, 'token_hub_store_operation_duration_seconds_sum{operation="getToken",result="ok"}') >= 0);
+  });
+
+  it('counts sweeper deletions by reason', async () => {
+    setTokenStore(createMemoryTokenStore({
+      entities: [
+        tokenEntity({ expiresAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() }),
+        tokenEntity({ token: 'c'.repeat(64), expiresAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() })
+      ]
+    }));
+    await sweeper({ isPastDue: false }, fakeContext());
+
+    const { body } = await scrape();
+    assert.equal(sample(body, 'token_hub_cleanup_deletions_total{source="sweeper",reason="expired"}'), 2);
+  });
+});
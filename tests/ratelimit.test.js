@@ -0,0 +1,96 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, tokenEntity, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions({
+  RATE_LIMIT_MAX_PER_IP: '3',
+  RATE_LIMIT_MAX_PER_THERAPIST: '5',
+  LOCKOUT_FAILURE_THRESHOLD: '3'
+});
+const { createMemoryRateLimitStore, setRateLimitStore } = await import('../src/lib/ratelimit.js');
+const verifyToken = functions['verify-token'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+
+function verifyPost(body, ip = '203.0.113.7:51234') {
+  return verifyToken(fakeRequest({ method: 'POST', body, headers: { 'x-forwarded-for': ip } }), fakeContext());
+}
+
+function verifyGet(token, ip = '203.0.113.7') {
+  const url = `https://hub.test/api/verify-token?token=${token}&therapist_id=${THERAPIST}`;
+  return verifyToken(fakeRequest({ method: 'GET', url, headers: { 'x-forwarded-for': ip } }), fakeContext());
+}
+
+beforeEach(() => {
+  setTokenStore(createMemoryTokenStore({ entities: [tokenEntity()] }));
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('verify-token rate limiting', () => {
+  it('returns 429 with Retry-After once an IP exceeds its window', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await verifyPost({ token: TOKEN, therapistId: THERAPIST })).status, 200);
+    }
+    const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.status, 429);
+    assert.equal(res.headers['Retry-After'], '60');
+    assert.equal(res.jsonBody.error, 'rate_limited');
+  });
+
+  it('ignores client-supplied X-Forwarded-For entries left of the proxy\'s', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await verifyPost({ token: TOKEN, therapistId: THERAPIST }, `10.0.0.${i}, 203.0.113.7:51234`)).status, 200);
+    }
+    const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST }, '192.0.2.99, 203.0.113.7:51234');
+    assert.equal(res.status, 429);
+  });
+
+  it('redirects GET with rate_limited', async () => {
+    for (let i = 0; i < 3; i++) {
+      await verifyGet(TOKEN);
+    }
+    const res = await verifyGet(TOKEN);
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.Location, `${TEST_ENV.FAILED_TOKEN_URL}?error=rate_limited&therapist_id=${THERAPIST}`);
+  });
+
+  it('limits a therapist partition across many IPs', async () => {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await verifyPost({ token: TOKEN, therapistId: THERAPIST }, `198.51.100.${i}`)).status, 200);
+    }
+    const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST }, '198.51.100.99');
+    assert.equal(res.status, 429);
+  });
+
+  it('locks an IP out of a partition after repeated invalid_token guesses', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await verifyPost({ token: `guess-${i}`, therapistId: THERAPIST }, '192.0.2.1');
+      assert.equal(res.jsonBody.error, 'invalid_token');
+    }
+
+    // Even the genuine token is refused from that IP while the lockout lasts
+    const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST }, '192.0.2.1');
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers['Retry-After']) > 60);
+  });
+
+  it('still verifies a genuine token from another IP while the partition is locked', async () => {
+    for (let i = 0; i < 3; i++) {
+      await verifyPost({ token: `guess-${i}`, therapistId: THERAPIST }, '192.0.2.1');
+    }
+    assert.equal((await verifyPost({ token: TOKEN, therapistId: THERAPIST }, '192.0.2.1')).status, 429);
+
+    const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST }, '192.0.2.200');
+    assert.equal(res.status, 200);
+  });
+
+  it('does not lock a partition for guesses spread across many IPs', async () => {
+    for (let i = 0; i < 3; i++) {
+      await verifyPost({ token: `guess-${i}`, therapistId: THERAPIST }, `192.0.2.${i}`);
+    }
+    const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST }, '192.0.2.200');
+    assert.equal(res.status, 200);
+  });
+});
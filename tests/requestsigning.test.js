@@ -0,0 +1,135 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions({
+  SERVICE_SIGNING_KEYS: 'current:current-signing-secret,previous:previous-signing-secret',
+  SERVICE_SIGNING_ACTIVE_KEY: 'current',
+  SERVICE_SIGNATURE_WINDOW_SECONDS: '300',
+  SERVICE_REQUIRE_SIGNED_REQUESTS: 'true'
+});
+// Reads the key ring at load, so import after the environment is set
+const { signRequest, createMemoryReplayStore, setReplayStore } = await import('../src/lib/requestsigning.js');
+
+const introspect = functions['introspect-token'].handler;
+const createToken = functions['create-token'].handler;
+const revokeToken = functions['revoke-token'].handler;
+const listTokens = functions['list-tokens'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+const INTROSPECT_URL = 'https://hub.test/api/introspect-token';
+
+let store;
+
+// Sign like a calling hub; extra `headers` override the signature headers actually sent
+function signed(handler, { method = 'POST', url, body, keyId, now, headers = {} }) {
+  const raw = body === undefined ? '' : JSON.stringify(body);
+  const signature = signRequest({ method, url, body: raw, keyId, now });
+  return handler(fakeRequest({ method, url, headers: { ...signature, ...headers }, body: raw || undefined }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({ entities: [tokenEntity()] });
+  setTokenStore(store);
+  setReplayStore(createMemoryReplayStore());
+});
+
+describe('signed service requests', () => {
+  it('signs with the active key and authenticates introspection', async () => {
+    const headers = signRequest({ method: 'POST', url: INTROSPECT_URL, body: '{}' });
+    assert.equal(headers['X-Hub-Key-Id'], 'current');
+    assert.match(headers['X-Hub-Signature'], /^[0-9a-f]{64}$/);
+
+    const res = await signed(introspect, { url: INTROSPECT_URL, body: { token: TOKEN, therapistId: THERAPIST } });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.active, true);
+  });
+
+  it('still accepts a verify-only key during rotation', async () => {
+    const res = await signed(introspect, { url: INTROSPECT_URL, body: { token: TOKEN, therapistId: THERAPIST }, keyId: 'previous' });
+    assert.equal(res.status, 200);
+  });
+
+  it('rejects unknown keys, tampered bodies and paths', async () => {
+    const unknown = await signed(introspect, { url: INTROSPECT_URL, body: {}, headers: { 'x-hub-key-id': 'retired' } });
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.jsonBody.error, 'auth_unknown_key');
+
+    const headers = signRequest({ method: 'POST', url: INTROSPECT_URL, body: JSON.stringify({ token: TOKEN, therapistId: THERAPIST }) });
+    const tampered = await introspect(fakeRequest({
+      method: 'POST', url: INTROSPECT_URL, headers, body: { token: TOKEN, therapistId: 'therapist-2' }
+    }), fakeContext());
+    assert.equal(tampered.jsonBody.error, 'auth_invalid_signature');
+
+    const otherPath = await introspect(fakeRequest({
+      method: 'POST', url: 'https://hub.test/api/revoke-token', headers, body: { token: TOKEN, therapistId: THERAPIST }
+    }), fakeContext());
+    assert.equal(otherPath.jsonBody.error, 'auth_invalid_signature');
+  });
+
+  it('rejects timestamps outside the window', async () => {
+    const res = await signed(introspect, { url: INTROSPECT_URL, body: {}, now: new Date(Date.now() - 10 * 60 * 1000) });
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'stale_request');
+  });
+
+  it('rejects a replayed signature', async () => {
+    const body = JSON.stringify({ token: TOKEN, therapistId: THERAPIST });
+    const headers = signRequest({ method: 'POST', url: INTROSPECT_URL, body });
+    const send = () => introspect(fakeRequest({ method: 'POST', url: INTROSPECT_URL, headers, body }), fakeContext());
+
+    assert.equal((await send()).status, 200);
+    const replay = await send();
+    assert.equal(replay.status, 401);
+    assert.equal(replay.jsonBody.error, 'replayed_request');
+  });
+
+  it('refuses API keys once signatures are required', async () => {
+    const res = await introspect(fakeRequest({
+      method: 'POST', url: INTROSPECT_URL, headers: { 'x-api-key': TEST_ENV.SERVICE_API_KEYS }, body: {}
+    }), fakeContext());
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'signature_required');
+  });
+
+  it('does not fall back to therapist auth when a signature fails', async () => {
+    const res = await signed(createToken, {
+      url: 'https://hub.test/api/create-token',
+      body: { therapistId: THERAPIST, activityUrl: 'https://onlinetherapytools.com/activities/bingo/bingo.html' },
+      headers: { 'x-hub-key-id': 'retired', authorization: therapistBearer(THERAPIST) }
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'auth_unknown_key');
+  });
+});
+
+describe('signed therapist-scoped requests', () => {
+  it('revokes a token for the therapist named in the body', async () => {
+    const res = await signed(revokeToken, { url: 'https://hub.test/api/revoke-token', body: { token: TOKEN, therapistId: THERAPIST } });
+    assert.equal(res.status, 200);
+    const entity = await store.getToken(THERAPIST, tokenEntity().rowKey);
+    assert.equal(entity.isRevoked, true);
+  });
+
+  it('still lets therapists revoke with their own Bearer JWT', async () => {
+    const res = await revokeToken(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/revoke-token',
+      headers: { authorization: therapistBearer(THERAPIST) },
+      body: { token: TOKEN, therapistId: THERAPIST }
+    }), fakeContext());
+    assert.equal(res.status, 200);
+  });
+
+  it('lists tokens for the therapist in the query string', async () => {
+    const res = await signed(listTokens, { method: 'GET', url: `https://hub.test/api/tokens?therapistId=${THERAPIST}` });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.tokens.length, 1);
+
+    const missing = await signed(listTokens, { method: 'GET', url: 'https://hub.test/api/tokens' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.jsonBody.error, 'missing_therapist_id');
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const functions = await loadFunctions({
+  STORAGE_RETRY_ATTEMPTS: '3',
+  STORAGE_RETRY_BASE_DELAY_MS: '1',
+  STORAGE_CALL_TIMEOUT_MS: '50',
+  STORAGE_BREAKER_FAILURE_THRESHOLD: '6',
+  STORAGE_BREAKER_COOLDOWN_SECONDS: '30'
+});
+// Reads its policy at load, so import after the environment is set
+const { resetStorageBreaker, storageBreakerState } = await import('../src/lib/resilience.js');
+const { setAuditStore } = await import('../src/lib/auditlog.js');
+
+const verifyToken = functions['verify-token'].handler;
+const revokeToken = functions['revoke-token'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+
+let store;
+let getTokenCalls;
+
+function verifyPost() {
+  return verifyToken(fakeRequest({ method: 'POST', body: { token: TOKEN, therapistId: THERAPIST } }), fakeContext());
+}
+
+function verifyGet() {
+  const url = `https://hub.test/api/verify-token?token=${TOKEN}&therapist_id=${THERAPIST}`;
+  return verifyToken(fakeRequest({ method: 'GET', url }), fakeContext());
+}
+
+// Make getToken fail `failures` times (forever by default) with the given error, then behave normally
+function failGetToken(error, failures = Infinity) {
+  const original = store.getToken.bind(store);
+  store.getToken = async (...args) => {
+    getTokenCalls++;
+    if (getTokenCalls <= failures) {
+      throw error();
+    }
+    return original(...args);
+  };
+}
+
+const serverBusy = () => Object.assign(new Error('Server busy'), { statusCode: 503 });
+
+beforeEach(() => {
+  resetStorageBreaker();
+  getTokenCalls = 0;
+  store = createMemoryTokenStore({ entities: [tokenEntity()] });
+  setTokenStore(store);
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('storage resilience in verify-token', () => {
+  it('returns 503 service_unavailable with Retry-After once retries run out', async () => {
+    failGetToken(serverBusy);
+    const res = await verifyPost();
+    assert.equal(res.status, 503);
+    assert.equal(res.jsonBody.error, 'service_unavailable');
+    assert.equal(res.headers['Retry-After'], '5');
+    assert.equal(getTokenCalls, 3);
+  });
+
+  it('redirects GET with the service_unavailable reason', async () => {
+    failGetToken(serverBusy);
+    const res = await verifyGet();
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.Location, `${TEST_ENV.FAILED_TOKEN_URL}?error=service_unavailable&therapist_id=${THERAPIST}`);
+  });
+
+  it('recovers from a transient failure by retrying', async () => {
+    failGetToken(() => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 1);
+    const res = await verifyPost();
+    assert.equal(res.status, 200);
+    assert.equal(getTokenCalls, 2);
+  });
+
+  it('times out a hanging call', async () => {
+    store.getToken = () => new Promise(() => {});
+    const res = await verifyPost();
+    assert.equal(res.status, 503);
+    assert.equal(res.jsonBody.error, 'service_unavailable');
+  });
+
+  it('never reports a storage error as invalid_token', async () => {
+    failGetToken(() => Object.assign(new Error('Server failed to authenticate the request'), { statusCode: 403 }));
+    const res = await verifyPost();
+    assert.equal(res.status, 500);
+    assert.equal(res.jsonBody.error, 'verification_failed');
+    assert.equal(getTokenCalls, 1); // not retried
+  });
+
+  it('opens the breaker and fails fast while it cools down', async () => {
+    failGetToken(serverBusy);
+    await verifyPost();
+    await verifyPost();
+    assert.equal(storageBreakerState().state, 'open');
+    assert.equal(getTokenCalls, 6);
+
+    const res = await verifyPost();
+    assert.equal(res.status, 503);
+    assert.equal(res.headers['Retry-After'], '30');
+    assert.equal(getTokenCalls, 6); // refused without touching storage
+  });
+
+  it('does not retry a conditional write whose first attempt timed out but landed', async () => {
+    await store.updateToken(tokenEntity({ maxUses: 1, useCount: 0 }));
+    const updateToken = store.updateToken.bind(store);
+    let updates = 0;
+    store.updateToken = async (...args) => {
+      updates++;
+      const result = await updateToken(...args);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return result;
+    };
+
+    const res = await verifyPost();
+    assert.equal(res.status, 503);
+    assert.equal(res.jsonBody.error, 'service_unavailable');
+    assert.equal(updates, 1);
+  });
+
+  it('does not wait on a hung audit table', async () => {
+    setAuditStore({ ensureTable: async () => {}, createToken: () => new Promise(() => {}) });
+    try {
+      const res = await verifyPost();
+      assert.equal(res.status, 200);
+      assert.equal(storageBreakerState().consecutiveFailures, 0);
+    } finally {
+      setAuditStore(createMemoryTokenStore());
+    }
+  });
+
+  it('still treats a missing entity as invalid_token', async () => {
+    store = createMemoryTokenStore();
+    setTokenStore(store);
+    const res = await verifyPost();
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'invalid_token');
+  });
+});
+
+describe('storage resilience in revoke-token', () => {
+  it('returns 503 service_unavailable instead of token_not_found', async () => {
+    failGetToken(serverBusy);
+    const res = await revokeToken(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/revoke-token',
+      headers: { authorization: therapistBearer(THERAPIST) },
+      body: { token: TOKEN, therapistId: THERAPIST }
+    }), fakeContext());
+    assert.equal(res.status, 503);
+    assert.equal(res.jsonBody.error, 'service_unavailable');
+    assert.equal(res.headers['Retry-After'], '5');
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeContext, tokenEntity, logEntries } from './harness.js';
+import { createMemoryTokenStore, setTokenStore, setTokenArchiveStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions({ TOKEN_SWEEP_MODE: 'archive' });
+const sweeper = functions['sweep-expired-tokens'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let store;
+let archive;
+
+async function rowKeys(tokenStore) {
+  const keys = [];
+  for await (const entity of tokenStore.listAllTokens()) {
+    keys.push(entity.rowKey);
+  }
+  return keys.sort();
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({
+    entities: [
+      tokenEntity({ rowKey: 'active' }),
+      tokenEntity({ rowKey: 'expired', expiresAt: new Date(Date.now() - DAY).toISOString() }),
+      tokenEntity({ rowKey: 'revoked-old', isRevoked: true, revokedAt: new Date(Date.now() - 60 * DAY).toISOString() })
+    ]
+  });
+  archive = createMemoryTokenStore();
+  setTokenStore(store);
+  setTokenArchiveStore(archive);
+});
+
+describe('sweep-expired-tokens in archive mode', () => {
+  it('copies swept tokens to the archive table before removing them', async () => {
+    const context = fakeContext();
+    const now = new Date();
+    await sweeper.handler({}, context);
+
+    assert.deepEqual(await rowKeys(store), ['active']);
+    assert.deepEqual(await rowKeys(archive), ['expired', 'revoked-old']);
+
+    const summary = logEntries(context).find(entry => entry.msg.startsWith('✅ Token sweep complete'));
+    assert.equal(summary.mode, 'archive');
+    assert.equal(summary.archived, 2);
+    assert.equal(summary.removed, 2);
+
+    const archived = await archive.getToken('therapist-1', 'expired');
+    assert.ok(new Date(archived.archivedAt) >= new Date(now.getTime() - 1000));
+    assert.equal(archived.activityUrl, tokenEntity().activityUrl);
+    assert.equal('sweepReason' in archived, false);
+  });
+
+  it('keeps tokens whose archive write failed', async () => {
+    archive.upsertTokens = async () => {
+      throw new Error('archive unavailable');
+    };
+
+    const context = fakeContext();
+    await sweeper.handler({}, context);
+
+    assert.deepEqual(await rowKeys(store), ['active', 'expired', 'revoked-old']);
+    const summary = logEntries(context).find(entry => entry.msg.startsWith('✅ Token sweep complete'));
+    assert.equal(summary.failedPartitions, 1);
+    assert.equal(summary.archived, 0);
+  });
+});
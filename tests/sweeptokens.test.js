@@ -0,0 +1,77 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeContext, tokenEntity, logEntries } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions();
+const sweeper = functions['sweep-expired-tokens'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let store;
+
+beforeEach(() => {
+  store = createMemoryTokenStore({
+    entities: [
+      tokenEntity({ rowKey: 'active' }),
+      tokenEntity({ rowKey: 'expired', expiresAt: new Date(Date.now() - DAY).toISOString() }),
+      tokenEntity({ rowKey: 'other-expired', therapistId: 'therapist-2', expiresAt: new Date(Date.now() - DAY).toISOString() }),
+      tokenEntity({ rowKey: 'revoked-old', isRevoked: true, revokedAt: new Date(Date.now() - 60 * DAY).toISOString() }),
+      tokenEntity({ rowKey: 'revoked-recent', isRevoked: true, revokedAt: new Date(Date.now() - DAY).toISOString() }),
+      tokenEntity({ rowKey: 'bad-date', expiresAt: 'not-a-date' })
+    ]
+  });
+  setTokenStore(store);
+});
+
+async function remainingTokens() {
+  const rowKeys = [];
+  for await (const entity of store.listAllTokens()) {
+    rowKeys.push(entity.rowKey);
+  }
+  return rowKeys.sort();
+}
+
+describe('sweep-expired-tokens', () => {
+  it('is registered on a schedule', () => {
+    assert.equal(sweeper.schedule, '0 0 3 * * *');
+  });
+
+  it('removes expired and long-revoked tokens and logs a summary', async () => {
+    const context = fakeContext();
+    await sweeper.handler({ isPastDue: false }, context);
+
+    assert.deepEqual(await remainingTokens(), ['active', 'bad-date', 'revoked-recent']);
+
+    const { timestamp, level, invocationId, functionName, msg, ...summary } = logEntries(context)
+      .find(entry => entry.msg.startsWith('✅ Token sweep complete'));
+    assert.equal(level, 'info');
+    assert.deepEqual(summary, {
+      mode: 'delete',
+      scanned: 6,
+      expired: 2,
+      revoked: 1,
+      removed: 3,
+      archived: 0,
+      failedPartitions: 0
+    });
+  });
+
+  it('keeps sweeping other partitions when one batch fails', async () => {
+    const deleteTokens = store.deleteTokens;
+    store.deleteTokens = async (therapistId, tokens) => {
+      if (therapistId === 'therapist-2') {
+        throw new Error('transaction failed');
+      }
+      return deleteTokens(therapistId, tokens);
+    };
+
+    const context = fakeContext();
+    await sweeper.handler({}, context);
+
+    assert.deepEqual(await remainingTokens(), ['active', 'bad-date', 'other-expired', 'revoked-recent']);
+    const summary = logEntries(context).find(entry => entry.msg.startsWith('✅ Token sweep complete'));
+    assert.equal(summary.failedPartitions, 1);
+    assert.equal(summary.removed, 2);
+  });
+});
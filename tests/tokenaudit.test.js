@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity, storedKey } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const functions = await loadFunctions();
+// Hashes with the test pepper, so import after the environment is set
+const { setAuditStore, recordAccessAttempt, listAccessAttempts } = await import('../src/lib/auditlog.js');
+const verifyToken = functions['verify-token'].handler;
+const tokenAudit = functions['token-audit'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+
+function queryAudit(params, authorization = therapistBearer(THERAPIST)) {
+  const url = new URL('https://hub.test/api/token-audit');
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  const headers = authorization ? { authorization } : {};
+  return tokenAudit(fakeRequest({ method: 'GET', url: url.toString(), headers }), fakeContext());
+}
+
+beforeEach(() => {
+  setTokenStore(createMemoryTokenStore({ entities: [tokenEntity()] }));
+  setAuditStore(createMemoryTokenStore());
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('access audit', () => {
+  it('records one row per verify-token attempt with the token\'s stored id', async () => {
+    await verifyToken(fakeRequest({
+      method: 'GET',
+      url: `https://hub.test/api/verify-token?token=${TOKEN}&therapist_id=${THERAPIST}`,
+      headers: { origin: 'https://onlinetherapytools.com', 'user-agent': 'test-agent' }
+    }), fakeContext());
+    await verifyToken(fakeRequest({ method: 'POST', body: { token: 'b'.repeat(64), therapistId: THERAPIST } }), fakeContext());
+
+    const res = await queryAudit({ therapistId: THERAPIST });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.count, 2);
+
+    const [latest, first] = res.jsonBody.attempts;
+    assert.equal(latest.outcome, 'invalid_token');
+    assert.equal(latest.method, 'POST');
+    assert.equal(first.outcome, 'success');
+    assert.equal(first.method, 'GET');
+    assert.equal(first.tokenId, storedKey(TOKEN));
+    assert.equal(first.origin, 'https://onlinetherapytools.com');
+    assert.equal(first.userAgent, 'test-agent');
+    assert.ok(!JSON.stringify(res.jsonBody).includes(TOKEN));
+  });
+
+  it('records redirect failure codes for GET', async () => {
+    await verifyToken(fakeRequest({ method: 'GET', url: `https://hub.test/api/verify-token?token=${'c'.repeat(64)}&therapist_id=${THERAPIST}` }), fakeContext());
+    const res = await queryAudit({});
+    assert.equal(res.jsonBody.attempts[0].outcome, 'invalid_token');
+  });
+
+  it('records the exact failure code when the GET redirect shows a coarser reason', async () => {
+    setTokenStore(createMemoryTokenStore({ entities: [tokenEntity({ activityUrl: undefined })] }));
+    const redirect = await verifyToken(fakeRequest({ method: 'GET', url: `https://hub.test/api/verify-token?token=${TOKEN}&therapist_id=${THERAPIST}` }), fakeContext());
+    assert.match(redirect.headers.Location, /error=invalid_token&/);
+
+    const res = await queryAudit({});
+    assert.equal(res.jsonBody.attempts[0].outcome, 'invalid_token_schema');
+  });
+
+  it('filters by tokenId and honours the limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      await verifyToken(fakeRequest({ method: 'POST', body: { token: TOKEN, therapistId: THERAPIST } }), fakeContext());
+    }
+    await verifyToken(fakeRequest({ method: 'POST', body: { token: 'd'.repeat(64), therapistId: THERAPIST } }), fakeContext());
+
+    const res = await queryAudit({ tokenId: storedKey(TOKEN), limit: '2' });
+    assert.equal(res.jsonBody.count, 2);
+    assert.ok(res.jsonBody.attempts.every(attempt => attempt.tokenId === storedKey(TOKEN)));
+  });
+
+  it('lists attempts recorded in the same millisecond newest first', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+      await recordAccessAttempt({ therapistId: THERAPIST, token: TOKEN, outcome: 'token_revoked', method: 'POST' });
+      await recordAccessAttempt({ therapistId: THERAPIST, token: TOKEN, outcome: 'success', method: 'POST' });
+    } finally {
+      mock.timers.reset();
+    }
+
+    const attempts = await listAccessAttempts(THERAPIST);
+    assert.equal(attempts[0].occurredAt, attempts[1].occurredAt);
+    assert.deepEqual(attempts.map(attempt => attempt.outcome), ['success', 'token_revoked']);
+  });
+
+  it('still verifies when the audit write fails', async () => {
+    setAuditStore({ ensureTable: async () => {}, createToken: async () => { throw new Error('audit down'); } });
+    const res = await verifyToken(fakeRequest({ method: 'POST', body: { token: TOKEN, therapistId: THERAPIST } }), fakeContext());
+    assert.equal(res.status, 200);
+  });
+
+  it('requires authentication', async () => {
+    const res = await queryAudit({ therapistId: THERAPIST }, null);
+    assert.equal(res.status, 401);
+  });
+
+  it('forbids reading another therapist\'s audit trail', async () => {
+    const res = await queryAudit({ therapistId: 'therapist-2' });
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error, 'forbidden');
+  });
+});
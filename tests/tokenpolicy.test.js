@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions } from './harness.js';
+
+await loadFunctions();
+// Imported after loadFunctions so token hashing sees the test pepper
+const { parseTokenDate, tokenValidity, tokenStatus, buildTokenEntity } = await import('../src/lib/tokenpolicy.js');
+
+const NOW = new Date('2025-03-01T12:00:00.000Z');
+const minutes = n => new Date(NOW.getTime() + n * 60 * 1000).toISOString();
+
+describe('parseTokenDate', () => {
+  it('accepts ISO strings, Dates and typed DateTime values', () => {
+    assert.equal(parseTokenDate('2025-03-01T12:00:00.000Z').toISOString(), '2025-03-01T12:00:00.000Z');
+    assert.equal(parseTokenDate('2025-03-01T13:00:00+01:00').toISOString(), '2025-03-01T12:00:00.000Z');
+    assert.equal(parseTokenDate('2025-03-01T12:00:00.0000000Z').toISOString(), '2025-03-01T12:00:00.000Z');
+    assert.equal(parseTokenDate(NOW), NOW);
+    assert.equal(parseTokenDate({ type: 'DateTime', value: '2025-03-01T12:00:00Z' }).toISOString(), '2025-03-01T12:00:00.000Z');
+  });
+
+  it('reads offset-less date-times as UTC, not server-local time', () => {
+    assert.equal(parseTokenDate('2025-03-01T12:00:00').toISOString(), '2025-03-01T12:00:00.000Z');
+  });
+
+  it('returns null for anything else', () => {
+    for (const value of ['not-a-date', '03/01/2025', 'Sat Mar 01 2025', '2025-13-45T00:00:00Z', '', 1740830400000, null, undefined, new Date('x')]) {
+      assert.equal(parseTokenDate(value), null, String(value));
+    }
+  });
+});
+
+describe('tokenValidity', () => {
+  it('is active inside the window', () => {
+    const validity = tokenValidity({ expiresAt: minutes(10) }, NOW);
+    assert.equal(validity.state, 'active');
+    assert.equal(validity.inGracePeriod, false);
+  });
+
+  it('keeps a lapsed token active through skew and grace', () => {
+    const validity = tokenValidity({ expiresAt: minutes(-2) }, NOW);
+    assert.equal(validity.state, 'active');
+    assert.equal(validity.inGracePeriod, true);
+    assert.equal(validity.validUntil.toISOString(), minutes(0.5));
+
+    assert.equal(tokenValidity({ expiresAt: minutes(-3) }, NOW).state, 'expired');
+  });
+
+  it('honours notBefore with skew tolerance', () => {
+    assert.equal(tokenValidity({ notBefore: minutes(5), expiresAt: minutes(60) }, NOW).state, 'not_yet_valid');
+    assert.equal(tokenValidity({ notBefore: minutes(0.25), expiresAt: minutes(60) }, NOW).state, 'active');
+  });
+
+  it('is invalid when a date does not parse', () => {
+    assert.equal(tokenValidity({ expiresAt: 'tomorrow' }, NOW).state, 'invalid');
+    assert.equal(tokenValidity({}, NOW).state, 'invalid');
+    assert.equal(tokenValidity({ notBefore: 'soon', expiresAt: minutes(60) }, NOW).state, 'invalid');
+  });
+
+  it('lists scheduled tokens separately', () => {
+    assert.equal(tokenStatus({ notBefore: minutes(5), expiresAt: minutes(60) }, NOW), 'scheduled');
+  });
+});
+
+describe('buildTokenEntity', () => {
+  const base = { therapistId: 'therapist-1', activityUrl: 'https://onlinetherapytools.com/activities/bingo/bingo.html' };
+
+  it('runs the TTL from notBefore for scheduled links', () => {
+    const { entity } = buildTokenEntity({ ...base, notBefore: minutes(30), ttlMinutes: 60 }, NOW);
+    assert.equal(entity.notBefore, minutes(30));
+    assert.equal(entity.expiresAt, minutes(90));
+  });
+
+  it('rejects a notBefore that does not parse or is not before expiry', () => {
+    assert.equal(buildTokenEntity({ ...base, notBefore: 'next week' }, NOW).error, 'invalid_expiry');
+    assert.equal(buildTokenEntity({ ...base, notBefore: minutes(120), expiresAt: minutes(60) }, NOW).error, 'invalid_expiry');
+  });
+});
+
+describe('sliding tokens', () => {
+  const base = { therapistId: 'therapist-1', activityUrl: 'https://onlinetherapytools.com/activities/bingo/bingo.html' };
+
+  it('uses the lifetime as the absolute cap and starts with one idle window', () => {
+    const { entity } = buildTokenEntity({ ...base, ttlMinutes: 7 * 24 * 60, idleTimeoutMinutes: 45 }, NOW);
+    assert.equal(entity.absoluteExpiresAt, minutes(7 * 24 * 60));
+    assert.equal(entity.expiresAt, minutes(45));
+    assert.equal(entity.idleTimeoutMinutes, 45);
+  });
+
+  it('rejects idle timeouts outside the allowed lifetime', () => {
+    assert.equal(buildTokenEntity({ ...base, idleTimeoutMinutes: 0 }, NOW).error, 'invalid_idle_timeout');
+    assert.equal(buildTokenEntity({ ...base, idleTimeoutMinutes: '30' }, NOW).error, 'invalid_idle_timeout');
+  });
+});
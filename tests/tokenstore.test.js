@@ -0,0 +1,71 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer } from './harness.js';
+import { createTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+
+const functions = await loadFunctions();
+const createToken = functions['create-token'].handler;
+const verifyToken = functions['verify-token'].handler;
+
+const THERAPIST = 'therapist-1';
+const BINGO = 'https://onlinetherapytools.com/activities/bingo/bingo.html';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-hub-store-'));
+let filePath;
+
+// A fresh store over the same file, as after a host restart
+function reopenStore() {
+  process.env.TOKEN_STORE_FILE = filePath;
+  const store = createTokenStore('file');
+  setTokenStore(store);
+  return store;
+}
+
+beforeEach(() => {
+  filePath = path.join(tempDir, `${Date.now()}-${Math.random().toString(16).slice(2)}.json`);
+});
+
+after(() => {
+  delete process.env.TOKEN_STORE_FILE;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('file token store (TOKEN_STORE=file)', () => {
+  it('reads back a created token after the store is recreated from the same file', async () => {
+    assert.equal(reopenStore().type, 'file');
+    const created = await createToken(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/create-token',
+      headers: { authorization: therapistBearer(THERAPIST) },
+      body: { activityUrl: BINGO, ttlMinutes: 90 }
+    }), fakeContext());
+    assert.equal(created.status, 201);
+    assert.ok(fs.existsSync(filePath));
+
+    const stored = await reopenStore().getToken(THERAPIST, created.jsonBody.tokenId);
+    assert.equal(stored.activityUrl, BINGO);
+    assert.equal(stored.schemaVersion, 2);
+    assert.equal(stored.isRevoked, false);
+
+    const verified = await verifyToken(fakeRequest({
+      method: 'POST',
+      body: { token: created.jsonBody.token, therapistId: THERAPIST }
+    }), fakeContext());
+    assert.equal(verified.status, 200);
+  });
+
+  it('persists updates and deletes', async () => {
+    const store = reopenStore();
+    await store.createToken({ partitionKey: THERAPIST, rowKey: 'kept', isRevoked: false });
+    await store.createToken({ partitionKey: THERAPIST, rowKey: 'deleted', isRevoked: false });
+    await store.updateToken({ partitionKey: THERAPIST, rowKey: 'kept', isRevoked: true }, { mode: 'Merge' });
+    await store.deleteToken(THERAPIST, 'deleted');
+
+    const reopened = reopenStore();
+    assert.equal((await reopened.getToken(THERAPIST, 'kept')).isRevoked, true);
+    assert.equal(await reopened.getToken(THERAPIST, 'deleted'), null);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const functions = await loadFunctions({
+  VERIFICATION_CACHE_MAX_ENTRIES: '2',
+  VERIFICATION_CACHE_MAX_STALENESS_SECONDS: '30'
+});
+// Reads its limits at load, so import after the environment is set
+const { getCachedToken, cacheVerifiedToken, clearVerificationCache } = await import('../src/lib/verificationcache.js');
+
+const verifyToken = functions['verify-token'].handler;
+const revokeToken = functions['revoke-token'].handler;
+const revokeAll = functions['revoke-all-tokens'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+
+let store;
+let reads;
+
+function verifyPost(token = TOKEN) {
+  return verifyToken(fakeRequest({ method: 'POST', body: { token, therapistId: THERAPIST } }), fakeContext());
+}
+
+function useStore(entities) {
+  store = createMemoryTokenStore({ entities });
+  const getToken = store.getToken.bind(store);
+  store.getToken = async (...args) => {
+    reads++;
+    return getToken(...args);
+  };
+  setTokenStore(store);
+}
+
+beforeEach(() => {
+  clearVerificationCache();
+  reads = 0;
+  useStore([tokenEntity()]);
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('verification cache', () => {
+  it('answers repeat verifications without reading storage', async () => {
+    assert.equal((await verifyPost()).status, 200);
+    assert.equal(reads, 1);
+
+    const again = await verifyPost();
+    assert.equal(again.status, 200);
+    assert.equal(again.jsonBody.therapistId, THERAPIST);
+    assert.equal(reads, 1);
+  });
+
+  it('is invalidated by revoke-token in the same instance', async () => {
+    await verifyPost();
+    const revoked = await revokeToken(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/revoke-token',
+      headers: { authorization: therapistBearer(THERAPIST) },
+      body: { token: TOKEN, therapistId: THERAPIST }
+    }), fakeContext());
+    assert.equal(revoked.status, 200);
+
+    const res = await verifyPost();
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'token_revoked');
+  });
+
+  it('is invalidated by a bulk revocation', async () => {
+    await verifyPost();
+    await revokeAll(fakeRequest({
+      method: 'POST',
+      url: 'https://hub.test/api/tokens/revoke-all',
+      headers: { authorization: therapistBearer(THERAPIST) },
+      body: {}
+    }), fakeContext());
+
+    const res = await verifyPost();
+    assert.equal(res.jsonBody.error, 'token_revoked');
+  });
+
+  it('does not cache tokens that write on every use', async () => {
+    useStore([tokenEntity({ maxUses: 3, useCount: 0 })]);
+    await verifyPost();
+    const second = await verifyPost();
+    assert.equal(second.jsonBody.remainingUses, 1);
+    assert.ok(reads >= 2);
+  });
+
+  it('never keeps an entry past the token\'s validUntil or the staleness bound', () => {
+    const now = new Date();
+    const entity = tokenEntity();
+
+    cacheVerifiedToken(entity, new Date(now.getTime() + 1000), now);
+    assert.ok(getCachedToken(THERAPIST, TOKEN, now));
+    assert.equal(getCachedToken(THERAPIST, TOKEN, new Date(now.getTime() + 2000)), null);
+
+    cacheVerifiedToken(entity, new Date(now.getTime() + 60 * 60 * 1000), now);
+    assert.ok(getCachedToken(THERAPIST, TOKEN, new Date(now.getTime() + 29 * 1000)));
+    assert.equal(getCachedToken(THERAPIST, TOKEN, new Date(now.getTime() + 31 * 1000)), null);
+  });
+
+  it('evicts the least recently used entry when full', () => {
+    const now = new Date();
+    const validUntil = new Date(now.getTime() + 60 * 60 * 1000);
+    for (const token of ['a', 'b', 'c']) {
+      cacheVerifiedToken(tokenEntity({ token: token.repeat(64) }), validUntil, now);
+      if (token === 'b') {
+        getCachedToken(THERAPIST, 'a'.repeat(64), now); // touch a - b becomes least recent
+      }
+    }
+
+    assert.ok(getCachedToken(THERAPIST, 'a'.repeat(64), now));
+    assert.equal(getCachedToken(THERAPIST, 'b'.repeat(64), now), null);
+    assert.ok(getCachedToken(THERAPIST, 'c'.repeat(64), now));
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, tokenEntity, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { signJwt } from '../src/lib/jwt.js';
+
+const functions = await loadFunctions();
+const verifyToken = functions['verify-token'].handler;
+const verifySession = functions['verify-session'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+
+let store;
+
+async function sessionFromRedirect() {
+  const res = await verifyToken(fakeRequest({
+    method: 'GET',
+    url: `https://hub.test/api/verify-token?token=${TOKEN}&therapist_id=${THERAPIST}`
+  }), fakeContext());
+  return new URL(res.headers.Location).searchParams.get('session_token');
+}
+
+function checkSession({ body, headers } = {}) {
+  return verifySession(fakeRequest({ method: 'POST', url: 'https://hub.test/api/verify-session', body, headers }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({ entities: [tokenEntity()] });
+  setTokenStore(store);
+});
+
+describe('verify-session', () => {
+  it('accepts the credential issued by verify-token without reading the token table', async () => {
+    const sessionToken = await sessionFromRedirect();
+    store.getToken = async () => { throw new Error('table should not be read'); };
+
+    const res = await checkSession({ body: { sessionToken } });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.valid, true);
+    assert.equal(res.jsonBody.therapistId, THERAPIST);
+    assert.equal(res.jsonBody.activityUrl, 'https://onlinetherapytools.com/activities/bingo/bingo.html');
+  });
+
+  it('accepts the credential as a Bearer header', async () => {
+    const sessionToken = await sessionFromRedirect();
+    const res = await checkSession({ headers: { authorization: `Bearer ${sessionToken}` } });
+    assert.equal(res.status, 200);
+  });
+
+  it('never outlives the access token and its grace period', async () => {
+    const expiresAt = new Date(Date.now() + 5 * 60 * 1000).toISOString();
+    await store.updateToken(tokenEntity({ expiresAt }));
+    const sessionToken = await sessionFromRedirect();
+
+    // Default 120s grace plus 30s clock skew
+    const res = await checkSession({ body: { sessionToken } });
+    assert.ok(new Date(res.jsonBody.expiresAt) <= new Date(Date.parse(expiresAt) + 150 * 1000));
+  });
+
+  it('rejects a tampered credential', async () => {
+    const sessionToken = await sessionFromRedirect();
+    const [header, , signature] = sessionToken.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ therapistId: 'therapist-2', exp: 9999999999 })).toString('base64url');
+
+    const res = await checkSession({ body: { sessionToken: `${header}.${forgedPayload}.${signature}` } });
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'invalid_session');
+  });
+
+  it('rejects an expired credential', async () => {
+    const sessionToken = signJwt({
+      iss: 'therapy-tools-token-validation-hub',
+      aud: 'therapy-tools-activity',
+      therapistId: THERAPIST,
+      exp: Math.floor(Date.now() / 1000) - 10
+    }, TEST_ENV.SESSION_SIGNING_SECRET);
+
+    const res = await checkSession({ body: { sessionToken } });
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'session_expired');
+  });
+
+  it('requires a credential', async () => {
+    const res = await checkSession({ body: {} });
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.error, 'missing_session');
+  });
+});
@@ -0,0 +1,514 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFunctions, fakeRequest, fakeContext, therapistBearer, tokenEntity, storedKey, TEST_ENV } from './harness.js';
+import { createMemoryTokenStore, setTokenStore } from '../src/lib/tokenstore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../src/lib/ratelimit.js';
+
+const functions = await loadFunctions();
+const verifyToken = functions['verify-token'].handler;
+const revokeToken = functions['revoke-token'].handler;
+
+const TOKEN = 'a'.repeat(64);
+const THERAPIST = 'therapist-1';
+const FAILED = TEST_ENV.FAILED_TOKEN_URL;
+
+let store;
+
+function verifyGet(params) {
+  const url = new URL('https://hub.test/api/verify-token');
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return verifyToken(fakeRequest({ method: 'GET', url: url.toString() }), fakeContext());
+}
+
+function verifyPost(body) {
+  return verifyToken(fakeRequest({ method: 'POST', body }), fakeContext());
+}
+
+function revoke(body, authorization = therapistBearer(THERAPIST)) {
+  const headers = authorization ? { authorization } : {};
+  return revokeToken(fakeRequest({ method: 'POST', url: 'https://hub.test/api/revoke-token', headers, body }), fakeContext());
+}
+
+beforeEach(() => {
+  store = createMemoryTokenStore({ entities: [tokenEntity()] });
+  setTokenStore(store);
+  setRateLimitStore(createMemoryRateLimitStore());
+});
+
+describe('verify-token', () => {
+  it('answers CORS preflight', async () => {
+    const res = await verifyToken(fakeRequest({ method: 'OPTIONS', headers: { origin: 'https://app.onlinetherapytools.com' } }), fakeContext());
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://app.onlinetherapytools.com');
+  });
+
+  it('returns 500 when the token store is not configured', async () => {
+    const previous = { TOKEN_STORE: process.env.TOKEN_STORE, AzureWebJobsStorage: process.env.AzureWebJobsStorage };
+    process.env.TOKEN_STORE = 'azure';
+    delete process.env.AzureWebJobsStorage;
+    setTokenStore(null);
+    try {
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 500);
+      assert.equal(res.jsonBody.message, 'Server configuration error');
+      assert.equal(res.jsonBody.error, 'configuration_error');
+    } finally {
+      Object.assign(process.env, previous);
+    }
+  });
+
+  it('rejects invalid JSON bodies', async () => {
+    const res = await verifyPost('{not json');
+    assert.equal(res.status, 400);
+    assert.equal(res.jsonBody.message, 'Invalid JSON in request body');
+  });
+
+  describe('missing parameters', () => {
+    it('redirects GET without a token', async () => {
+      const res = await verifyGet({ therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=missing_token&therapist_id=${THERAPIST}`);
+    });
+
+    it('rejects POST without a token', async () => {
+      const res = await verifyPost({ therapistId: THERAPIST });
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error, 'missing_token');
+    });
+
+    it('redirects GET without a therapist id', async () => {
+      const res = await verifyGet({ token: TOKEN });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=missing_therapist_id`);
+    });
+
+    it('rejects POST without a therapist id', async () => {
+      const res = await verifyPost({ token: TOKEN });
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error, 'missing_therapist_id');
+    });
+  });
+
+  describe('unknown tokens', () => {
+    it('redirects GET for a token that does not exist', async () => {
+      const res = await verifyGet({ token: 'b'.repeat(64), therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=invalid_token&therapist_id=${THERAPIST}`);
+    });
+
+    it('rejects POST for a token under another therapist', async () => {
+      const res = await verifyPost({ token: TOKEN, therapistId: 'therapist-2' });
+      assert.equal(res.status, 401);
+      assert.equal(res.jsonBody.error, 'invalid_token');
+    });
+
+    it('treats values that cannot be table keys as invalid_token without a lookup', async () => {
+      // Table Storage answers 400 for these characters in a key
+      store.getToken = async () => {
+        throw Object.assign(new Error('The request URI is invalid'), { statusCode: 400 });
+      };
+
+      const get = await verifyGet({ token: 'abc/def', therapist_id: THERAPIST });
+      assert.equal(get.headers.Location, `${FAILED}?error=invalid_token&therapist_id=${THERAPIST}`);
+
+      for (const body of [{ token: 'abc#def', therapistId: THERAPIST }, { token: TOKEN, therapistId: 'therapist?1' }, { token: 'a\\b', therapistId: THERAPIST }]) {
+        const res = await verifyPost(body);
+        assert.equal(res.status, 401);
+        assert.equal(res.jsonBody.error, 'invalid_token');
+      }
+    });
+  });
+
+  describe('invalid schema', () => {
+    beforeEach(async () => {
+      await store.updateToken(tokenEntity({ activityUrl: undefined }));
+    });
+
+    it('redirects GET as invalid_token', async () => {
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=invalid_token&therapist_id=${THERAPIST}`);
+    });
+
+    it('rejects POST with invalid_token_schema', async () => {
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 401);
+      assert.equal(res.jsonBody.error, 'invalid_token_schema');
+    });
+  });
+
+  describe('revoked tokens', () => {
+    beforeEach(async () => {
+      await store.updateToken(tokenEntity({ isRevoked: true }));
+    });
+
+    it('redirects GET with token_revoked', async () => {
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=token_revoked&therapist_id=${THERAPIST}`);
+    });
+
+    it('rejects POST with token_revoked', async () => {
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 401);
+      assert.equal(res.jsonBody.error, 'token_revoked');
+    });
+  });
+
+  describe('expired tokens', () => {
+    const expiresAt = new Date(Date.now() - 5 * 60 * 1000).toISOString();
+
+    beforeEach(async () => {
+      await store.updateToken(tokenEntity({ expiresAt }));
+    });
+
+    it('redirects GET with token_expired and deletes the entity', async () => {
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=token_expired&therapist_id=${THERAPIST}`);
+      assert.equal(await store.getToken(THERAPIST, storedKey(TOKEN)), null);
+    });
+
+    it('rejects POST with token_expired and deletes the entity', async () => {
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 401);
+      assert.equal(res.jsonBody.error, 'token_expired');
+      assert.equal(res.jsonBody.expiresAt, expiresAt);
+      assert.equal(await store.getToken(THERAPIST, storedKey(TOKEN)), null);
+    });
+  });
+
+  describe('valid tokens', () => {
+    it('redirects GET to the stored activity with a session credential', async () => {
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      const location = new URL(res.headers.Location);
+      assert.equal(location.origin + location.pathname, 'https://onlinetherapytools.com/activities/bingo/bingo.html');
+      assert.ok(location.searchParams.get('session_token'));
+      assert.ok(!res.headers.Location.includes(TOKEN));
+      assert.equal(location.searchParams.get('validated_token'), null);
+    });
+
+    it('redirects GET to a redirect parameter inside the token scope', async () => {
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST, redirect: 'https://onlinetherapytools.com/activities/bingo/bingo.html?level=2' });
+      assert.equal(res.status, 302);
+      assert.ok(res.headers.Location.startsWith('https://onlinetherapytools.com/activities/bingo/bingo.html?level=2&session_token='));
+    });
+
+    it('rejects redirects to other activities with activity_not_permitted', async () => {
+      for (const redirect of [
+        'https://app.onlinetherapytools.com/activities/feelings.html',
+        'https://evil.example/phish',
+        'https://onlinetherapytools.com.evil.example/activities/bingo/bingo.html',
+        'http://localhost:3000/activities/bingo/bingo.html',
+        'not a url'
+      ]) {
+        const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST, redirect });
+        assert.equal(res.headers.Location, `${FAILED}?error=activity_not_permitted&therapist_id=${THERAPIST}`, redirect);
+      }
+
+      const post = await verifyPost({ token: TOKEN, therapistId: THERAPIST, activityUrl: 'https://onlinetherapytools.com/activities/feelings.html' });
+      assert.equal(post.status, 403);
+      assert.equal(post.jsonBody.error, 'activity_not_permitted');
+      assert.deepEqual(post.jsonBody.permittedActivities, ['https://onlinetherapytools.com/activities/bingo/bingo.html']);
+    });
+
+    it('falls back to the dashboard when the stored activity is not an allowed redirect', async () => {
+      await store.updateToken(tokenEntity({ activityUrl: 'https://evil.example/phish' }));
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.ok(res.headers.Location.startsWith('https://onlinetherapytools.com/dashboard?session_token='));
+    });
+
+    it('falls back to the dashboard with invalid_activity_url for an unparseable stored activity', async () => {
+      await store.updateToken(tokenEntity({ activityUrl: 'not a url' }));
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      const location = new URL(res.headers.Location);
+      assert.equal(location.origin + location.pathname, 'https://onlinetherapytools.com/dashboard');
+      assert.equal(location.searchParams.get('error'), 'invalid_activity_url');
+    });
+
+    it('returns JSON for POST', async () => {
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 200);
+      assert.equal(res.jsonBody.success, true);
+      assert.equal(res.jsonBody.valid, true);
+      assert.equal(res.jsonBody.therapistId, THERAPIST);
+      assert.equal(res.jsonBody.activityUrl, 'https://onlinetherapytools.com/activities/bingo/bingo.html');
+      assert.ok(res.jsonBody.sessionToken);
+    });
+  });
+
+  describe('hashed-at-rest tokens', () => {
+    it('never stores the raw token as a key', async () => {
+      assert.equal(await store.getToken(THERAPIST, TOKEN), null);
+    });
+
+    it('keeps the raw token out of log lines', async () => {
+      const context = fakeContext();
+      await verifyToken(fakeRequest({ method: 'POST', body: { token: TOKEN, therapistId: THERAPIST } }), context);
+      assert.ok(context.logs.length > 0);
+      assert.ok(!JSON.stringify(context.logs).includes(TOKEN.substring(0, 8)));
+      assert.ok(!JSON.stringify(context.logs).includes(THERAPIST));
+    });
+
+    it('echoes the caller\'s X-Request-ID', async () => {
+      const res = await verifyToken(fakeRequest({
+        method: 'POST',
+        headers: { 'x-request-id': 'dashboard-req-7' },
+        body: { token: TOKEN, therapistId: THERAPIST }
+      }), fakeContext());
+      assert.equal(res.status, 200);
+      assert.equal(res.headers['X-Request-ID'], 'dashboard-req-7');
+    });
+
+    it('verifies a legacy plaintext token and rewrites it under its hash', async () => {
+      store = createMemoryTokenStore({ entities: [tokenEntity({ rowKey: TOKEN, schemaVersion: 1, maxUses: 3, useCount: 1 })] });
+      setTokenStore(store);
+
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 200);
+      assert.equal(res.jsonBody.useCount, 2);
+
+      assert.equal(await store.getToken(THERAPIST, TOKEN), null);
+      const migrated = await store.getToken(THERAPIST, storedKey(TOKEN));
+      assert.equal(migrated.useCount, 2);
+      assert.equal(migrated.schemaVersion, 2);
+    });
+
+    it('does not migrate a legacy token that fails verification', async () => {
+      for (const [expectedError, overrides, body] of [
+        ['token_revoked', { isRevoked: true }],
+        ['token_exhausted', { maxUses: 2, useCount: 2 }],
+        ['activity_not_permitted', {}, { activityUrl: 'https://onlinetherapytools.com/activities/feelings.html' }],
+        ['token_bound_elsewhere', { bindingMode: 'ip', boundFingerprint: 'f'.repeat(64), boundAt: new Date().toISOString() }]
+      ]) {
+        store = createMemoryTokenStore({ entities: [tokenEntity({ rowKey: TOKEN, schemaVersion: 1, ...overrides })] });
+        setTokenStore(store);
+
+        const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST, ...body });
+        assert.equal(res.jsonBody.error, expectedError);
+        assert.ok(await store.getToken(THERAPIST, TOKEN), expectedError);
+        assert.equal(await store.getToken(THERAPIST, storedKey(TOKEN)), null, expectedError);
+      }
+    });
+  });
+
+  describe('usage limits', () => {
+    beforeEach(async () => {
+      await store.updateToken(tokenEntity({ maxUses: 2, useCount: 0 }));
+    });
+
+    it('counts each successful verification', async () => {
+      const first = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(first.status, 200);
+      assert.equal(first.jsonBody.useCount, 1);
+      assert.equal(first.jsonBody.remainingUses, 1);
+
+      const second = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(second.status, 302);
+      assert.ok(second.headers.Location.startsWith('https://onlinetherapytools.com/activities/bingo/bingo.html'));
+      assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).useCount, 2);
+    });
+
+    it('redirects GET with token_exhausted once the limit is reached', async () => {
+      await store.updateToken(tokenEntity({ maxUses: 2, useCount: 2 }));
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=token_exhausted&therapist_id=${THERAPIST}`);
+    });
+
+    it('rejects POST with token_exhausted once the limit is reached', async () => {
+      await store.updateToken(tokenEntity({ maxUses: 1, useCount: 1 }));
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 401);
+      assert.equal(res.jsonBody.error, 'token_exhausted');
+    });
+
+    it('only lets one of two concurrent single-use verifications through', async () => {
+      await store.updateToken(tokenEntity({ maxUses: 1 }));
+      const results = await Promise.all([
+        verifyPost({ token: TOKEN, therapistId: THERAPIST }),
+        verifyPost({ token: TOKEN, therapistId: THERAPIST })
+      ]);
+      assert.deepEqual(results.map(res => res.status).sort(), [200, 401]);
+      assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).useCount, 1);
+    });
+  });
+
+  describe('validity window', () => {
+    const HOUR = 60 * 60 * 1000;
+
+    it('accepts tokens within the expiry grace period and says so', async () => {
+      const expiresAt = new Date(Date.now() - 60 * 1000).toISOString();
+      await store.updateToken(tokenEntity({ expiresAt }));
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 200);
+      assert.equal(res.jsonBody.inGracePeriod, true);
+      assert.equal(res.jsonBody.timeRemainingMinutes, 0);
+      assert.ok(new Date(res.jsonBody.sessionExpiresAt) > new Date());
+    });
+
+    it('rejects tokens before notBefore', async () => {
+      const notBefore = new Date(Date.now() + HOUR).toISOString();
+      await store.updateToken(tokenEntity({ notBefore, expiresAt: new Date(Date.now() + 2 * HOUR).toISOString() }));
+
+      const post = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(post.status, 401);
+      assert.equal(post.jsonBody.error, 'token_not_yet_valid');
+      assert.equal(post.jsonBody.notBefore, notBefore);
+
+      const get = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(get.headers.Location, `${FAILED}?error=token_not_yet_valid&therapist_id=${THERAPIST}`);
+      assert.ok(await store.getToken(THERAPIST, storedKey(TOKEN)));
+    });
+
+    it('tolerates clock skew at notBefore', async () => {
+      const notBefore = new Date(Date.now() + 10 * 1000).toISOString();
+      await store.updateToken(tokenEntity({ notBefore }));
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 200);
+      assert.equal(res.jsonBody.notBefore, notBefore);
+    });
+
+    it('reads typed DateTime values', async () => {
+      await store.updateToken(tokenEntity({ expiresAt: new Date(Date.now() + HOUR) }));
+      assert.equal((await verifyPost({ token: TOKEN, therapistId: THERAPIST })).status, 200);
+
+      await store.updateToken(tokenEntity({ expiresAt: { type: 'DateTime', value: new Date(Date.now() - HOUR).toISOString() } }));
+      assert.equal((await verifyPost({ token: TOKEN, therapistId: THERAPIST })).jsonBody.error, 'token_expired');
+    });
+
+    it('rejects unparseable dates instead of treating them as unexpired', async () => {
+      await store.updateToken(tokenEntity({ expiresAt: 'not-a-date' }));
+      const post = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(post.status, 401);
+      assert.equal(post.jsonBody.error, 'invalid_token_date');
+
+      await store.updateToken(tokenEntity({ notBefore: '13/01/2025 09:00' }));
+      const get = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(get.headers.Location, `${FAILED}?error=invalid_token&therapist_id=${THERAPIST}`);
+    });
+  });
+
+  describe('unexpected failures', () => {
+    // A usage-limited token whose use cannot be recorded
+    beforeEach(async () => {
+      await store.updateToken(tokenEntity({ maxUses: 3, useCount: 0 }));
+      store.updateToken = async () => {
+        throw Object.assign(new Error('The property value exceeds the maximum allowed size'), { statusCode: 400 });
+      };
+    });
+
+    it('redirects GET with verification_failed', async () => {
+      const res = await verifyGet({ token: TOKEN, therapist_id: THERAPIST });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.Location, `${FAILED}?error=verification_failed&therapist_id=${THERAPIST}`);
+    });
+
+    it('returns 500 verification_failed for POST', async () => {
+      const res = await verifyPost({ token: TOKEN, therapistId: THERAPIST });
+      assert.equal(res.status, 500);
+      assert.equal(res.jsonBody.error, 'verification_failed');
+    });
+  });
+});
+
+describe('revoke-token', () => {
+  it('answers CORS preflight', async () => {
+    const res = await revokeToken(fakeRequest({ method: 'OPTIONS' }), fakeContext());
+    assert.equal(res.status, 200);
+  });
+
+  it('requires a Bearer token', async () => {
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST }, null);
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'missing_bearer_token');
+  });
+
+  it('rejects a Bearer token with a bad signature', async () => {
+    const forged = therapistBearer(THERAPIST).slice(0, -4) + 'AAAA';
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST }, forged);
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'auth_invalid_signature');
+  });
+
+  it('rejects an expired Bearer token', async () => {
+    const expired = therapistBearer(THERAPIST, { exp: Math.floor(Date.now() / 1000) - 3600 });
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST }, expired);
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'auth_expired');
+  });
+
+  it('rejects a Bearer token that never expires', async () => {
+    const everlasting = therapistBearer(THERAPIST, { exp: undefined });
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST }, everlasting);
+    assert.equal(res.status, 401);
+    assert.equal(res.jsonBody.error, 'auth_malformed');
+  });
+
+  it('rejects invalid JSON bodies', async () => {
+    for (const body of ['{not json', 'null']) {
+      const res = await revoke(body);
+      assert.equal(res.status, 400);
+      assert.equal(res.jsonBody.error, 'invalid_json');
+    }
+  });
+
+  it('requires token and therapistId', async () => {
+    const missingToken = await revoke({ therapistId: THERAPIST });
+    assert.equal(missingToken.status, 400);
+    assert.equal(missingToken.jsonBody.error, 'missing_token');
+
+    const missingTherapist = await revoke({ token: TOKEN });
+    assert.equal(missingTherapist.status, 400);
+    assert.equal(missingTherapist.jsonBody.error, 'missing_therapist_id');
+  });
+
+  it('returns 404 for unknown tokens', async () => {
+    const res = await revoke({ token: 'b'.repeat(64), therapistId: THERAPIST });
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error, 'token_not_found');
+  });
+
+  it('returns 404 for tokens that cannot be table keys', async () => {
+    store.getToken = async () => {
+      throw Object.assign(new Error('The request URI is invalid'), { statusCode: 400 });
+    };
+    const res = await revoke({ token: 'abc/def', therapistId: THERAPIST });
+    assert.equal(res.status, 404);
+    assert.equal(res.jsonBody.error, 'token_not_found');
+  });
+
+  it('returns 404 for tokens with an invalid schema', async () => {
+    await store.updateToken(tokenEntity({ expiresAt: undefined }));
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.status, 404);
+  });
+
+  it('forbids revoking another therapist\'s token', async () => {
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST }, therapistBearer('therapist-2'));
+    assert.equal(res.status, 403);
+    assert.equal(res.jsonBody.error, 'forbidden');
+    assert.equal((await store.getToken(THERAPIST, storedKey(TOKEN))).isRevoked, false);
+  });
+
+  it('revokes the token for its owner', async () => {
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.status, 200);
+    assert.equal(res.jsonBody.success, true);
+    const stored = await store.getToken(THERAPIST, storedKey(TOKEN));
+    assert.equal(stored.isRevoked, true);
+    assert.equal(stored.revokedAt, res.jsonBody.revokedAt);
+  });
+
+  it('returns 500 when the store update fails', async () => {
+    store.updateToken = async () => { throw new Error('storage down'); };
+    const res = await revoke({ token: TOKEN, therapistId: THERAPIST });
+    assert.equal(res.status, 500);
+    assert.equal(res.jsonBody.error, 'revocation_failed');
+  });
+});